@@ -53,4 +53,31 @@ const requireRole = (...roles) => {
     };
 };
 
-module.exports = { authenticate, requireRole };
+// ─── Media Tickets ───────────────────────────────────────────
+// <img>/<video> tags cannot send headers, and a session token in a URL ends up in
+// logs and history — media routes take ?ticket=, signed for one resource and short-lived
+const MEDIA_TICKET_TTL_SEC = 60;
+
+// Ticket for `scope` (e.g. "camera:3", "job-snapshots:12") on behalf of the signed-in user
+const issueMediaTicket = (user, scope) => jwt.sign({ userId: user.id, scope }, process.env.JWT_SECRET, { expiresIn: MEDIA_TICKET_TTL_SEC });
+
+// Usage: mediaTicket(req => `camera:${req.params.id}`) — a Bearer header still works
+const mediaTicket = (scopeOf) => {
+    return async (req, res, next) => {
+        if (req.headers.authorization || typeof req.query.ticket !== 'string') return authenticate(req, res, next);
+        try {
+            const decoded = jwt.verify(req.query.ticket, process.env.JWT_SECRET);
+            if (decoded.scope !== scopeOf(req)) return res.status(403).json({ error: 'Ticket not valid for this resource' });
+
+            const user = await prisma.user.findUnique({ where: { id: decoded.userId } });
+            if (!user || !user.isActive) return res.status(401).json({ error: 'User not found or inactive' });
+
+            req.user = user;
+            next();
+        } catch (err) {
+            return res.status(401).json({ error: err.name === 'TokenExpiredError' ? 'Ticket expired' : 'Invalid ticket' });
+        }
+    };
+};
+
+module.exports = { authenticate, requireRole, issueMediaTicket, mediaTicket, MEDIA_TICKET_TTL_SEC };
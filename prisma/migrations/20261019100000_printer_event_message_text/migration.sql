@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `printerevent` MODIFY `message` TEXT NOT NULL;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE `printer` ADD COLUMN `driver` VARCHAR(191) NOT NULL DEFAULT 'moonraker',
+    ADD COLUMN `apiKey` VARCHAR(191) NULL,
+    ADD COLUMN `serialNumber` VARCHAR(191) NULL;
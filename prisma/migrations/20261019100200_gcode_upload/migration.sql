@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE `job` ADD COLUMN `layerCount` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `gcodefile` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `jobId` INTEGER NOT NULL,
+    `originalName` VARCHAR(191) NOT NULL,
+    `filePath` VARCHAR(191) NOT NULL,
+    `sizeBytes` INTEGER NOT NULL DEFAULT 0,
+    `sha256` VARCHAR(191) NOT NULL,
+    `slicer` VARCHAR(191) NOT NULL DEFAULT 'unknown',
+    `slicerVersion` VARCHAR(191) NULL,
+    `estimatedTimeMin` INTEGER NULL,
+    `filamentGrams` DOUBLE NULL,
+    `material` VARCHAR(191) NULL,
+    `layerCount` INTEGER NULL,
+    `uploadedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `gcodefile_jobId_key`(`jobId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `gcodefile` ADD CONSTRAINT `gcodefile_jobId_fkey` FOREIGN KEY (`jobId`) REFERENCES `job`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE `printertelemetryrollup` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `printerId` INTEGER NOT NULL,
+    `resolution` VARCHAR(191) NOT NULL,
+    `bucketStart` DATETIME(3) NOT NULL,
+    `samples` INTEGER NOT NULL DEFAULT 0,
+    `coveredSec` INTEGER NOT NULL DEFAULT 0,
+    `extruderMin` DOUBLE NOT NULL DEFAULT 0,
+    `extruderMax` DOUBLE NOT NULL DEFAULT 0,
+    `extruderAvg` DOUBLE NOT NULL DEFAULT 0,
+    `bedMin` DOUBLE NOT NULL DEFAULT 0,
+    `bedMax` DOUBLE NOT NULL DEFAULT 0,
+    `bedAvg` DOUBLE NOT NULL DEFAULT 0,
+    `chamberMin` DOUBLE NOT NULL DEFAULT 0,
+    `chamberMax` DOUBLE NOT NULL DEFAULT 0,
+    `chamberAvg` DOUBLE NOT NULL DEFAULT 0,
+    `energyAvgKw` DOUBLE NOT NULL DEFAULT 0,
+    `energyKwh` DOUBLE NOT NULL DEFAULT 0,
+    `progressMax` DOUBLE NOT NULL DEFAULT 0,
+    `statusDurations` TEXT NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `printertelemetryrollup_printerId_resolution_bucketStart_key`(`printerId`, `resolution`, `bucketStart`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `printertelemetry_printerId_recordedAt_idx` ON `printertelemetry`(`printerId`, `recordedAt`);
+
+-- AddForeignKey
+ALTER TABLE `printertelemetryrollup` ADD CONSTRAINT `printertelemetryrollup_printerId_fkey` FOREIGN KEY (`printerId`) REFERENCES `printer`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
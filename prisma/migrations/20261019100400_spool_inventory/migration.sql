@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE `job` ADD COLUMN `spoolId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `spool` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `material` VARCHAR(191) NOT NULL DEFAULT 'PLA',
+    `color` VARCHAR(191) NULL,
+    `brand` VARCHAR(191) NULL,
+    `lot` VARCHAR(191) NULL,
+    `initialGrams` DOUBLE NOT NULL DEFAULT 1000,
+    `remainingGrams` DOUBLE NOT NULL DEFAULT 1000,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'in_stock',
+    `printerId` INTEGER NULL,
+    `loadedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `filamentsettings` (
+    `id` INTEGER NOT NULL DEFAULT 1,
+    `spoolLowGrams` DOUBLE NOT NULL DEFAULT 100,
+    `stockLowGrams` DOUBLE NOT NULL DEFAULT 1000,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `job` ADD CONSTRAINT `job_spoolId_fkey` FOREIGN KEY (`spoolId`) REFERENCES `spool`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `spool` ADD CONSTRAINT `spool_printerId_fkey` FOREIGN KEY (`printerId`) REFERENCES `printer`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
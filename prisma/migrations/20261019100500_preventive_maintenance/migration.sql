@@ -0,0 +1,47 @@
+-- AlterTable
+ALTER TABLE `printer` ADD COLUMN `printHours` DOUBLE NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE `maintenancetask` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `description` TEXT NULL,
+    `printerModel` VARCHAR(191) NULL,
+    `intervalHours` DOUBLE NULL,
+    `intervalDays` INTEGER NULL,
+    `isCritical` BOOLEAN NOT NULL DEFAULT false,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `maintenanceorder` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `taskId` INTEGER NOT NULL,
+    `printerId` INTEGER NOT NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'open',
+    `dueHours` DOUBLE NULL,
+    `dueAt` DATETIME(3) NULL,
+    `overdueAt` DATETIME(3) NULL,
+    `assignedToId` INTEGER NULL,
+    `notes` TEXT NULL,
+    `printHoursAtService` DOUBLE NULL,
+    `completedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `maintenanceorder_printerId_status_idx`(`printerId`, `status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `maintenanceorder` ADD CONSTRAINT `maintenanceorder_taskId_fkey` FOREIGN KEY (`taskId`) REFERENCES `maintenancetask`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `maintenanceorder` ADD CONSTRAINT `maintenanceorder_printerId_fkey` FOREIGN KEY (`printerId`) REFERENCES `printer`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `maintenanceorder` ADD CONSTRAINT `maintenanceorder_assignedToId_fkey` FOREIGN KEY (`assignedToId`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
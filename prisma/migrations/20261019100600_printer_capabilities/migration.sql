@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE `printer` ADD COLUMN `buildX` DOUBLE NOT NULL DEFAULT 220,
+    ADD COLUMN `buildY` DOUBLE NOT NULL DEFAULT 220,
+    ADD COLUMN `buildZ` DOUBLE NOT NULL DEFAULT 250,
+    ADD COLUMN `nozzleDiameter` DOUBLE NOT NULL DEFAULT 0.4,
+    ADD COLUMN `materials` VARCHAR(191) NOT NULL DEFAULT 'PLA,PETG',
+    ADD COLUMN `hasEnclosure` BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE `job` ADD COLUMN `sizeX` DOUBLE NULL,
+    ADD COLUMN `sizeY` DOUBLE NULL,
+    ADD COLUMN `sizeZ` DOUBLE NULL,
+    ADD COLUMN `nozzleDiameter` DOUBLE NULL;
+
+-- AlterTable
+ALTER TABLE `gcodefile` ADD COLUMN `nozzleDiameter` DOUBLE NULL,
+    ADD COLUMN `sizeX` DOUBLE NULL,
+    ADD COLUMN `sizeY` DOUBLE NULL,
+    ADD COLUMN `sizeZ` DOUBLE NULL;
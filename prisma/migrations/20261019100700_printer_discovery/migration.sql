@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE `printer` ADD COLUMN `hostname` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `discoveredprinter` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `ipAddress` VARCHAR(191) NOT NULL,
+    `port` INTEGER NOT NULL,
+    `driver` VARCHAR(191) NOT NULL,
+    `source` VARCHAR(191) NOT NULL DEFAULT 'scan',
+    `hostname` VARCHAR(191) NULL,
+    `model` VARCHAR(191) NULL,
+    `firmware` VARCHAR(191) NULL,
+    `authRequired` BOOLEAN NOT NULL DEFAULT false,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'new',
+    `printerId` INTEGER NULL,
+    `firstSeenAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `lastSeenAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `discoveredprinter_ipAddress_port_key`(`ipAddress`, `port`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `discoveredprinter` ADD CONSTRAINT `discoveredprinter_printerId_fkey` FOREIGN KEY (`printerId`) REFERENCES `printer`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE `printer` ADD COLUMN `cameraUrl` VARCHAR(191) NULL,
+    ADD COLUMN `streamUrl` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `jobsnapshot` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `jobId` INTEGER NOT NULL,
+    `printerId` INTEGER NOT NULL,
+    `kind` VARCHAR(191) NOT NULL DEFAULT 'frame',
+    `filePath` VARCHAR(191) NOT NULL,
+    `sizeBytes` INTEGER NOT NULL DEFAULT 0,
+    `capturedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `jobsnapshot_jobId_capturedAt_idx`(`jobId`, `capturedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `jobsnapshot` ADD CONSTRAINT `jobsnapshot_jobId_fkey` FOREIGN KEY (`jobId`) REFERENCES `job`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `job` ADD COLUMN `stalledAt` DATETIME(3) NULL;
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE `printerstatehistory` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `printerId` INTEGER NOT NULL,
+    `state` VARCHAR(191) NOT NULL,
+    `reason` TEXT NULL,
+    `startedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `endedAt` DATETIME(3) NULL,
+    `durationSec` INTEGER NULL,
+
+    INDEX `printerstatehistory_printerId_startedAt_idx`(`printerId`, `startedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `printerstatehistory` ADD CONSTRAINT `printerstatehistory_printerId_fkey` FOREIGN KEY (`printerId`) REFERENCES `printer`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
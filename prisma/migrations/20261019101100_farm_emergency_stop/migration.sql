@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE `printer` ADD COLUMN `group` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `alertrule` ADD COLUMN `autoEmergencyStop` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE `farmhalt` (
+    `id` INTEGER NOT NULL DEFAULT 1,
+    `isHalted` BOOLEAN NOT NULL DEFAULT false,
+    `reason` TEXT NULL,
+    `source` VARCHAR(191) NULL,
+    `haltedById` INTEGER NULL,
+    `haltedAt` DATETIME(3) NULL,
+    `clearedById` INTEGER NULL,
+    `clearedAt` DATETIME(3) NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Existing installs: the seeded SMOKE rule stops the farm, as a fresh seed sets it up
+UPDATE `alertrule` SET `autoEmergencyStop` = true WHERE `trigger` = 'SMOKE';
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `printer` ADD COLUMN `telemetryMode` VARCHAR(191) NOT NULL DEFAULT 'poll',
+    ADD COLUMN `pushSecret` VARCHAR(191) NULL;
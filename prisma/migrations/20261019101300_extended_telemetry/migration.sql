@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `printertelemetry` ADD COLUMN `currentLayer` INTEGER NULL,
+    ADD COLUMN `totalLayers` INTEGER NULL,
+    ADD COLUMN `filamentUsedMm` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `printDurationSec` INTEGER NOT NULL DEFAULT 0;
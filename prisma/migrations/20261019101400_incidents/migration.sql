@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE `printerevent` ADD COLUMN `incidentId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `incident` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `printerId` INTEGER NOT NULL,
+    `code` VARCHAR(191) NOT NULL,
+    `level` VARCHAR(191) NOT NULL,
+    `message` TEXT NOT NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'open',
+    `eventCount` INTEGER NOT NULL DEFAULT 1,
+    `firstSeenAt` DATETIME(3) NOT NULL,
+    `lastSeenAt` DATETIME(3) NOT NULL,
+    `acknowledgedById` INTEGER NULL,
+    `acknowledgedAt` DATETIME(3) NULL,
+    `ackDelaySec` INTEGER NULL,
+    `resolvedById` INTEGER NULL,
+    `resolvedAt` DATETIME(3) NULL,
+    `resolveDelaySec` INTEGER NULL,
+    `rootCause` TEXT NULL,
+    `notes` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `incident_printerId_code_status_idx`(`printerId`, `code`, `status`),
+    INDEX `incident_status_idx`(`status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `printerevent_level_incidentId_createdAt_idx` ON `printerevent`(`level`, `incidentId`, `createdAt`);
+
+-- AddForeignKey
+ALTER TABLE `printerevent` ADD CONSTRAINT `printerevent_incidentId_fkey` FOREIGN KEY (`incidentId`) REFERENCES `incident`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `incident` ADD CONSTRAINT `incident_printerId_fkey` FOREIGN KEY (`printerId`) REFERENCES `printer`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `incident` ADD CONSTRAINT `incident_acknowledgedById_fkey` FOREIGN KEY (`acknowledgedById`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `incident` ADD CONSTRAINT `incident_resolvedById_fkey` FOREIGN KEY (`resolvedById`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
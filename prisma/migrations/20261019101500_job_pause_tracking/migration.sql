@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `job` ADD COLUMN `pausedAt` DATETIME(3) NULL,
+    ADD COLUMN `pausedSec` INTEGER NOT NULL DEFAULT 0;
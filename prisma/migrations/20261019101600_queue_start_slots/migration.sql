@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `queueitem` ADD COLUMN `scheduledStartAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `queueitem_status_scheduledStartAt_idx` ON `queueitem`(`status`, `scheduledStartAt`);
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `job` ADD COLUMN `projectedPeakKw` DOUBLE NULL,
+    ADD COLUMN `projectedSteadyKw` DOUBLE NULL;
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE `job` ADD COLUMN `maxDeferMin` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `dueAt` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `queueitem` ADD COLUMN `deferredUntil` DATETIME(3) NULL,
+    ADD COLUMN `deferSavings` DOUBLE NULL;
+
+-- CreateTable
+CREATE TABLE `tariffwindow` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `days` VARCHAR(191) NOT NULL DEFAULT '0,1,2,3,4,5,6',
+    `startTime` VARCHAR(191) NOT NULL,
+    `endTime` VARCHAR(191) NOT NULL,
+    `pricePerKwh` DOUBLE NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `job` ADD COLUMN `projectedEndAt` DATETIME(3) NULL,
+    ADD COLUMN `lateRiskAt` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `order` ADD COLUMN `dueAt` DATETIME(3) NULL;
@@ -90,8 +90,10 @@ async function main() {
         { name: 'Printer Critical Failure', trigger: 'PRINTER_ERROR', severity: 'critical', channel: 'telegram', redundancy: true },
         { name: 'Energy Overload Warning', trigger: 'ENERGY_OVERLOAD', severity: 'warning', channel: 'telegram' },
         { name: 'Job Completed', trigger: 'JOB_COMPLETE', severity: 'info', channel: 'telegram' },
-        { name: 'Smoke Sensor Triggered', trigger: 'SMOKE', severity: 'critical', channel: 'all', redundancy: true },
-        { name: 'Material Low', trigger: 'MATERIAL_LOW', severity: 'warning', channel: 'telegram', isEnabled: false },
+        { name: 'Job At Risk of Missing Due Date', trigger: 'JOB_LATE_RISK', severity: 'warning', channel: 'telegram' },
+        { name: 'Smoke Sensor Triggered', trigger: 'SMOKE', severity: 'critical', channel: 'all', redundancy: true, autoEmergencyStop: true },
+        { name: 'Material Low', trigger: 'MATERIAL_LOW', severity: 'warning', channel: 'telegram' },
+        { name: 'Maintenance Overdue', trigger: 'MAINTENANCE_OVERDUE', severity: 'warning', channel: 'telegram' },
     ];
     for (const rule of alertRules) {
         const exists = await prisma.alertRule.findFirst({ where: { name: rule.name } });
@@ -99,6 +101,18 @@ async function main() {
     }
     console.log('  ✅ Alert rules seeded');
 
+    // ─── Default Maintenance Tasks (all models) ───────────────
+    const maintenanceTasks = [
+        { name: 'Nozzle swap', intervalHours: 500, isCritical: true },
+        { name: 'Belt tension check', intervalHours: 200, intervalDays: 30 },
+        { name: 'Rod lubrication', intervalHours: 150, intervalDays: 30 },
+    ];
+    for (const task of maintenanceTasks) {
+        const exists = await prisma.maintenanceTask.findFirst({ where: { name: task.name, printerModel: null } });
+        if (!exists) await prisma.maintenanceTask.create({ data: task });
+    }
+    console.log('  ✅ Maintenance tasks seeded');
+
     // ─── Default Label Template ──────────────────────────────
     const zplTemplate = `^XA
 ^FO50,50^A0N,30,30^FD{{MARKETPLACE}}^FS
@@ -19,12 +19,15 @@ router.get('/rules', authenticate, async (req, res) => {
 // POST /api/alerts/rules
 router.post('/rules', authenticate, requireRole('owner'), async (req, res) => {
     try {
-        const { name, trigger, severity, channel, redundancy } = req.body;
+        const { name, trigger, severity, channel, redundancy, autoEmergencyStop } = req.body;
         if (!name || !trigger || !severity || !channel) {
             return res.status(400).json({ error: 'name, trigger, severity, channel required' });
         }
+        if (autoEmergencyStop && trigger !== 'SMOKE') {
+            return res.status(400).json({ error: 'Automatic emergency stop is only available for SMOKE rules' });
+        }
         const rule = await prisma.alertRule.create({
-            data: { name, trigger, severity, channel, redundancy: redundancy || false },
+            data: { name, trigger, severity, channel, redundancy: redundancy || false, autoEmergencyStop: !!autoEmergencyStop },
         });
         res.status(201).json(rule);
     } catch (err) {
@@ -35,12 +38,19 @@ router.post('/rules', authenticate, requireRole('owner'), async (req, res) => {
 // PUT /api/alerts/rules/:id — Enable/disable
 router.put('/rules/:id', authenticate, requireRole('owner'), async (req, res) => {
     try {
-        const { isEnabled, redundancy } = req.body;
+        const { isEnabled, redundancy, autoEmergencyStop } = req.body;
+        if (autoEmergencyStop) {
+            const existing = await prisma.alertRule.findUnique({ where: { id: +req.params.id } });
+            if (existing && existing.trigger !== 'SMOKE') {
+                return res.status(400).json({ error: 'Automatic emergency stop is only available for SMOKE rules' });
+            }
+        }
         const rule = await prisma.alertRule.update({
             where: { id: +req.params.id },
             data: {
                 ...(isEnabled !== undefined && { isEnabled }),
                 ...(redundancy !== undefined && { redundancy }),
+                ...(autoEmergencyStop !== undefined && { autoEmergencyStop: !!autoEmergencyStop }),
             },
         });
         res.json(rule);
@@ -63,6 +73,22 @@ router.get(['/log', '/logs'], authenticate, async (req, res) => {
     }
 });
 
+// POST /api/alerts/smoke — Smoke detector / panic button: fires the SMOKE trigger
+// (and the farm emergency stop when a SMOKE rule has autoEmergencyStop)
+router.post('/smoke', authenticate, requireRole('owner', 'operator'), async (req, res) => {
+    try {
+        const { location, message } = req.body;
+        const text = [message || 'Smoke detected', location && `at ${location}`].filter(Boolean).join(' ');
+        await prisma.auditLog.create({
+            data: { userId: req.user.id, action: 'SMOKE_REPORTED', entity: 'Farm', entityId: '1', ipAddress: req.ip, details: JSON.stringify({ location, message }) }
+        });
+        await alertService.triggerAlert('SMOKE', { message: `${text} (reported by ${req.user.name})` });
+        res.status(202).json({ message: 'SMOKE alert triggered' });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to trigger SMOKE alert' });
+    }
+});
+
 // POST /api/alerts/test — Send test alert (all channels)
 router.post('/test', authenticate, requireRole('owner'), async (req, res) => {
     try {
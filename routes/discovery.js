@@ -0,0 +1,132 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requireRole } = require('../middleware/auth');
+const discoveryService = require('../services/discoveryService');
+const drivers = require('../services/drivers');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// GET /api/discovery — Discovered printers (?status=new|known|ip_changed) and scan state
+router.get('/', authenticate, requireRole('owner', 'operator'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        const devices = await prisma.discoveredPrinter.findMany({
+            where: status ? { status } : {},
+            include: { printer: { select: { id: true, name: true, ipAddress: true, port: true } } },
+            orderBy: [{ status: 'asc' }, { ipAddress: 'asc' }],
+        });
+        res.json({ ...discoveryService.getState(), devices });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load discovered printers' });
+    }
+});
+
+// POST /api/discovery/scan — Start a scan now (runs in the background)
+router.post('/scan', authenticate, requireRole('owner'), async (req, res) => {
+    try {
+        discoveryService.expandSubnets(process.env.DISCOVERY_SUBNETS); // fail fast on a bad range
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    if (discoveryService.getState().scanning) return res.status(409).json({ error: 'A discovery scan is already running' });
+
+    discoveryService.runScan();
+    res.status(202).json({ message: 'Discovery scan started' });
+});
+
+// POST /api/discovery/register — Bulk-register discovered printers
+// Body: { printers: [{ id, name, apiKey?, model? }] } — id is the DiscoveredPrinter id
+router.post('/register', authenticate, requireRole('owner'), async (req, res) => {
+    const entries = Array.isArray(req.body.printers) ? req.body.printers : [];
+    if (!entries.length) return res.status(400).json({ error: 'printers array required' });
+
+    const results = [];
+    for (const entry of entries) {
+        try {
+            const device = await prisma.discoveredPrinter.findUnique({ where: { id: +entry.id } });
+            if (!device) throw new Error('Discovered printer not found');
+            if (device.status !== 'new') throw new Error(`Already registered (${device.status})`);
+            if (!entry.name) throw new Error('name required');
+
+            const connection = { ipAddress: device.ipAddress, port: device.port, driver: device.driver, apiKey: entry.apiKey };
+            const probe = await drivers.getDriver(device.driver).probe(connection);
+
+            const printer = await prisma.printer.create({
+                data: {
+                    name: entry.name, ipAddress: device.ipAddress, port: device.port, driver: device.driver,
+                    apiKey: entry.apiKey || null,
+                    model: entry.model || probe.model || device.model || 'Generic',
+                    firmware: probe.firmware || device.firmware || 'unknown',
+                    hostname: probe.hostname || device.hostname || null,
+                },
+            });
+            await prisma.printerTelemetry.create({ data: { printerId: printer.id, status: 'offline' } });
+            await prisma.discoveredPrinter.update({
+                where: { id: device.id },
+                data: { status: 'known', printerId: printer.id, authRequired: false },
+            });
+            await prisma.auditLog.create({
+                data: {
+                    userId: req.user.id, action: 'PRINTER_ADDED', entity: 'Printer', entityId: String(printer.id),
+                    details: JSON.stringify({ name: printer.name, ipAddress: printer.ipAddress, driver: printer.driver, source: 'discovery' })
+                }
+            });
+            results.push({ id: device.id, success: true, printerId: printer.id, name: printer.name });
+        } catch (err) {
+            const error = err.code === 'P2002' ? 'Printer name already exists' : err.message;
+            results.push({ id: +entry.id, success: false, error });
+        }
+    }
+
+    const registered = results.filter(r => r.success).length;
+    if (registered) req.app.get('io').emit('queue:updated', { type: 'PRINTER_ADDED', count: registered });
+    res.status(registered ? 201 : 422).json({ registered, failed: results.length - registered, results });
+});
+
+// POST /api/discovery/:id/apply — Move a known printer to the address it was found at
+router.post('/:id/apply', authenticate, requireRole('owner'), async (req, res) => {
+    try {
+        const device = await prisma.discoveredPrinter.findUnique({ where: { id: +req.params.id }, include: { printer: true } });
+        if (!device) return res.status(404).json({ error: 'Discovered printer not found' });
+        if (device.status !== 'ip_changed' || !device.printer) {
+            return res.status(409).json({ error: 'No address change to apply for this entry' });
+        }
+
+        const previous = { ipAddress: device.printer.ipAddress, port: device.printer.port };
+        const printer = await prisma.printer.update({
+            where: { id: device.printer.id },
+            data: { ipAddress: device.ipAddress, port: device.port },
+        });
+        await prisma.discoveredPrinter.update({ where: { id: device.id }, data: { status: 'known' } });
+
+        await prisma.printerEvent.create({
+            data: {
+                printerId: printer.id, level: 'INFO', code: 'IP_UPDATED',
+                message: `Address changed ${previous.ipAddress}:${previous.port} → ${printer.ipAddress}:${printer.port} by ${req.user.name}`,
+            },
+        });
+        await prisma.auditLog.create({
+            data: {
+                userId: req.user.id, action: 'PRINTER_IP_UPDATED', entity: 'Printer', entityId: String(printer.id),
+                details: JSON.stringify({ from: previous, to: { ipAddress: printer.ipAddress, port: printer.port } })
+            }
+        });
+
+        res.json({ printerId: printer.id, ipAddress: printer.ipAddress, port: printer.port });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to apply address change' });
+    }
+});
+
+// DELETE /api/discovery/:id — Dismiss an entry (it reappears if seen again)
+router.delete('/:id', authenticate, requireRole('owner'), async (req, res) => {
+    try {
+        await prisma.discoveredPrinter.delete({ where: { id: +req.params.id } });
+        res.json({ message: 'Entry dismissed' });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to dismiss entry' });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticate, requireRole } = require('../middleware/auth');
+const tariffService = require('../services/tariffService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -66,4 +67,67 @@ router.get('/events', authenticate, async (req, res) => {
     }
 });
 
+// GET /api/energy/tariffs — Time-of-use schedule, flat fallback price and the price right now
+router.get('/tariffs', authenticate, async (req, res) => {
+    try {
+        const windows = await prisma.tariffWindow.findMany({ orderBy: { id: 'asc' } });
+        const config = await prisma.profitConfig.findUnique({ where: { id: 1 } });
+        const flatPricePerKwh = config?.energyCostPerKwh ?? 0.28;
+        const schedule = tariffService.compile(windows, flatPricePerKwh);
+        res.json({ windows, flatPricePerKwh, currentPricePerKwh: tariffService.priceAt(schedule, new Date()) });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load tariffs' });
+    }
+});
+
+// PUT /api/energy/tariffs — Replace the schedule { windows: [{ name, days, startTime, endTime, pricePerKwh }] }
+router.put('/tariffs', authenticate, requireRole('owner'), async (req, res) => {
+    try {
+        const { windows } = req.body;
+        const error = tariffService.validate(windows);
+        if (error) return res.status(400).json({ error });
+
+        await prisma.$transaction([
+            prisma.tariffWindow.deleteMany({}),
+            prisma.tariffWindow.createMany({
+                data: windows.map(w => ({
+                    name: w.name, days: String(w.days ?? '0,1,2,3,4,5,6'),
+                    startTime: w.startTime, endTime: w.endTime, pricePerKwh: w.pricePerKwh,
+                })),
+            }),
+            // Held jobs are planned again against the new prices
+            prisma.queueItem.updateMany({ where: { status: 'queued', deferredUntil: { not: null } }, data: { deferredUntil: null, deferSavings: null } }),
+        ]);
+        const saved = await prisma.tariffWindow.findMany({ orderBy: { id: 'asc' } });
+
+        const io = req.app.get('io');
+        io.emit('energy:reading', { type: 'TARIFFS_UPDATED', windows: saved });
+        res.json(saved);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to update tariffs' });
+    }
+});
+
+// GET /api/energy/deferrals — Jobs held for cheaper energy and the projected savings
+router.get('/deferrals', authenticate, async (req, res) => {
+    try {
+        const items = await prisma.queueItem.findMany({
+            where: { deferSavings: { not: null } },
+            include: { job: { select: { id: true, jobCode: true, name: true, status: true, estimatedTime: true, maxDeferMin: true, dueAt: true } } },
+            orderBy: { deferredUntil: 'desc' },
+            take: 200,
+        });
+        const deferrals = items.map(i => ({
+            queueItemId: i.id, status: i.status, deferredUntil: i.deferredUntil, savings: i.deferSavings, job: i.job,
+        }));
+        res.json({
+            deferrals,
+            totalSavings: +deferrals.reduce((s, d) => s + d.savings, 0).toFixed(2),
+            waiting: deferrals.filter(d => d.status === 'queued' && d.deferredUntil > new Date()).length,
+        });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load deferrals' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requireRole } = require('../middleware/auth');
+const farmControlService = require('../services/farmControlService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// GET /api/farm/status — Emergency-stop state and printer groups
+router.get('/status', authenticate, async (req, res) => {
+    try {
+        const halt = await farmControlService.getHalt(prisma);
+        const groups = await prisma.printer.groupBy({
+            by: ['group'],
+            where: { isActive: true, group: { not: null } },
+            _count: { _all: true },
+        });
+        res.json({ ...halt, groups: groups.map(g => ({ group: g.group, printers: g._count._all })) });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load farm status' });
+    }
+});
+
+// POST /api/farm/command — Same command to many printers in parallel
+// { command, all: true | group: "Room A" | printerIds: [1, 2] }
+router.post('/command', authenticate, requireRole('owner', 'operator'), async (req, res) => {
+    try {
+        const { command } = req.body;
+        if (!farmControlService.BULK_COMMANDS.includes(command)) {
+            return res.status(400).json({ error: `Invalid command. Valid: ${farmControlService.BULK_COMMANDS.join(', ')}` });
+        }
+        const printers = await farmControlService.resolveTargets(prisma, req.body);
+        if (!printers) return res.status(400).json({ error: 'Give exactly one target: all, group or printerIds' });
+        if (!printers.length) return res.status(404).json({ error: 'No active printers match the target' });
+
+        const target = req.body.all ? 'all printers' : req.body.group ? `group "${req.body.group}"` : `${printers.length} printers`;
+        const summary = await farmControlService.runCommand(prisma, printers, command, `Bulk '${command}' on ${target} by ${req.user.name}`);
+
+        await prisma.auditLog.create({
+            data: {
+                userId: req.user.id, action: `FARM_BULK_${command.toUpperCase()}`, entity: 'Farm', entityId: '1', ipAddress: req.ip,
+                details: JSON.stringify({ target, printerIds: printers.map(p => p.id), succeeded: summary.succeeded, total: summary.total }),
+            }
+        });
+
+        res.json(summary);
+    } catch (err) {
+        console.error('[FARM] Bulk command error:', err);
+        res.status(500).json({ error: 'Bulk command failed' });
+    }
+});
+
+// POST /api/farm/emergency-stop — Stop every printer and halt the queue
+// Requires { confirm: true } so a stray request cannot stop the farm
+router.post('/emergency-stop', authenticate, requireRole('owner', 'operator'), async (req, res) => {
+    try {
+        const { confirm, reason } = req.body;
+        if (confirm !== true) return res.status(400).json({ error: 'Emergency stop must be confirmed with { confirm: true }' });
+
+        const result = await farmControlService.emergencyStop(prisma, {
+            reason: reason || 'Manual emergency stop',
+            source: 'manual',
+            user: req.user,
+        });
+        res.json(result);
+    } catch (err) {
+        console.error('[FARM] Emergency stop error:', err);
+        res.status(500).json({ error: 'Emergency stop failed' });
+    }
+});
+
+// POST /api/farm/resume — Clear the emergency-stop halt so the queue can start jobs again
+router.post('/resume', authenticate, requireRole('owner', 'operator'), async (req, res) => {
+    try {
+        const cleared = await farmControlService.clearHalt(prisma, req.user);
+        if (!cleared) return res.status(409).json({ error: 'Farm is not halted' });
+        res.json(cleared);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to resume farm' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requireRole } = require('../middleware/auth');
+const incidentService = require('../services/incidentService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const STATUSES = ['open', 'acknowledged', 'resolved'];
+const PEOPLE = {
+    acknowledgedBy: { select: { id: true, name: true } },
+    resolvedBy: { select: { id: true, name: true } },
+};
+
+// GET /api/incidents — Farm-wide incident list
+// ?status=active (default: open + acknowledged) | open | acknowledged | resolved | all [&printerId]
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const status = req.query.status || 'active';
+        if (status !== 'active' && status !== 'all' && !STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Valid: active, all, ${STATUSES.join(', ')}` });
+        }
+        const where = {
+            ...(status === 'active' && { status: { in: incidentService.ACTIVE_STATUSES } }),
+            ...(STATUSES.includes(status) && { status }),
+            ...(req.query.printerId && { printerId: +req.query.printerId }),
+        };
+        const incidents = await prisma.incident.findMany({
+            where,
+            include: { printer: { select: { id: true, name: true } }, ...PEOPLE },
+            orderBy: [{ lastSeenAt: 'desc' }],
+            take: 200,
+        });
+        res.json(incidents);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load incidents' });
+    }
+});
+
+// GET /api/incidents/:id — Incident with its grouped events
+router.get('/:id', authenticate, async (req, res) => {
+    try {
+        const incident = await prisma.incident.findUnique({
+            where: { id: +req.params.id },
+            include: {
+                printer: { select: { id: true, name: true } }, ...PEOPLE,
+                events: { orderBy: { createdAt: 'desc' }, take: 100 },
+            },
+        });
+        if (!incident) return res.status(404).json({ error: 'Incident not found' });
+        res.json(incident);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load incident' });
+    }
+});
+
+// PUT /api/incidents/:id/acknowledge — Take ownership { notes? }
+router.put('/:id/acknowledge', authenticate, requireRole('owner', 'operator', 'maintenance'), async (req, res) => {
+    try {
+        const { notes } = req.body;
+        if (notes != null && typeof notes !== 'string') return res.status(400).json({ error: 'notes must be a string' });
+
+        const incident = await prisma.incident.findUnique({ where: { id: +req.params.id } });
+        if (!incident) return res.status(404).json({ error: 'Incident not found' });
+        if (incident.status !== 'open') return res.status(409).json({ error: `Incident is already ${incident.status}` });
+
+        const updated = await incidentService.acknowledge(prisma, incident, req.user, notes);
+        if (!updated) return res.status(409).json({ error: 'Incident was updated by someone else — reload it' });
+        await prisma.auditLog.create({
+            data: {
+                userId: req.user.id, action: 'INCIDENT_ACKNOWLEDGED', entity: 'Incident', entityId: String(incident.id),
+                details: JSON.stringify({ code: incident.code, printerId: incident.printerId, ackDelaySec: updated.ackDelaySec })
+            }
+        });
+        res.json(updated);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to acknowledge incident' });
+    }
+});
+
+// PUT /api/incidents/:id/resolve — Close with root cause { rootCause, notes? }
+router.put('/:id/resolve', authenticate, requireRole('owner', 'operator', 'maintenance'), async (req, res) => {
+    try {
+        const { rootCause, notes } = req.body;
+        if (typeof rootCause !== 'string' || !rootCause.trim()) return res.status(400).json({ error: 'rootCause required' });
+        if (notes != null && typeof notes !== 'string') return res.status(400).json({ error: 'notes must be a string' });
+
+        const incident = await prisma.incident.findUnique({ where: { id: +req.params.id } });
+        if (!incident) return res.status(404).json({ error: 'Incident not found' });
+        if (incident.status === 'resolved') return res.status(409).json({ error: 'Incident is already resolved' });
+
+        const updated = await incidentService.resolve(prisma, incident, req.user, rootCause.trim(), notes);
+        if (!updated) return res.status(409).json({ error: 'Incident was updated by someone else — reload it' });
+        await prisma.auditLog.create({
+            data: {
+                userId: req.user.id, action: 'INCIDENT_RESOLVED', entity: 'Incident', entityId: String(incident.id),
+                details: JSON.stringify({ code: incident.code, printerId: incident.printerId, rootCause: updated.rootCause, resolveDelaySec: updated.resolveDelaySec })
+            }
+        });
+        res.json(updated);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to resolve incident' });
+    }
+});
+
+module.exports = router;
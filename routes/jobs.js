@@ -1,9 +1,24 @@
 const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
 const { PrismaClient } = require('@prisma/client');
-const { authenticate, requireRole } = require('../middleware/auth');
+const { authenticate, requireRole, issueMediaTicket, mediaTicket } = require('../middleware/auth');
+const gcodeParser = require('../services/gcodeParser');
+const jobLifecycleService = require('../services/jobLifecycleService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
+const GCODE_DIR = path.join(__dirname, '../uploads/gcode');
+
+// Ensure upload directory exists
+if (!fs.existsSync(GCODE_DIR)) fs.mkdirSync(GCODE_DIR, { recursive: true });
+
+const upload = multer({
+    dest: GCODE_DIR,
+    limits: { fileSize: (+process.env.GCODE_MAX_MB || 200) * 1024 * 1024 },
+    fileFilter: (req, file, cb) => cb(null, /\.(gcode|gco|g)$/i.test(file.originalname)),
+});
 
 // GET /api/jobs — All jobs
 router.get('/', authenticate, async (req, res) => {
@@ -31,36 +46,138 @@ router.put('/:id/status', authenticate, requireRole('owner', 'operator'), async
             return res.status(400).json({ error: `Invalid status. Valid: ${validStatuses.join(', ')}` });
         }
 
-        const updateData = { status };
-        if (status === 'completed') updateData.completedAt = new Date();
+        const existing = await prisma.job.findUnique({ where: { id: +req.params.id } });
+        if (!existing) return res.status(404).json({ error: 'Job not found' });
 
-        const job = await prisma.job.update({
-            where: { id: +req.params.id },
-            data: updateData,
-            include: { printer: true },
-        });
-
-        // If completed, check if label should be auto-printed
-        if (status === 'completed' && job.orderId) {
-            const io = req.app.get('io');
-            io.emit('printer:event', { type: 'JOB_COMPLETE', job });
-            // Trigger alert service via event
-            require('../services/alertService').triggerAlert('JOB_COMPLETE', {
-                jobName: job.name, printer: job.printer?.name
-            });
-        }
+        // Queue item, paused time, actual time, print hours, spool and alerts follow the job
+        const job = await jobLifecycleService.transition(prisma, existing, status);
 
         await prisma.auditLog.create({
             data: {
                 userId: req.user.id, action: `JOB_STATUS_${status.toUpperCase()}`,
-                entity: 'Job', entityId: String(job.id)
+                entity: 'Job', entityId: String(job.id), details: JSON.stringify({ from: existing.status })
             }
         });
 
         res.json(job);
     } catch (err) {
+        console.error('[JOBS] Status error:', err);
         res.status(500).json({ error: 'Failed to update job status' });
     }
 });
 
+// POST /api/jobs/:id/gcode — Upload G-code (multipart field "file"), fill job from slicer metadata
+router.post('/:id/gcode', authenticate, requireRole('owner', 'operator'), upload.single('file'), async (req, res) => {
+    let stored = false; // the upload belongs to the job once its GcodeFile row points at it
+    try {
+        if (!req.file) return res.status(400).json({ error: 'G-code file required (.gcode, .gco, .g)' });
+
+        const job = await prisma.job.findUnique({ where: { id: +req.params.id }, include: { gcodeFile: true } });
+        if (!job) {
+            fs.unlinkSync(req.file.path);
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const meta = await gcodeParser.parseFile(req.file.path);
+        const fileData = {
+            originalName: req.file.originalname,
+            filePath: req.file.path,
+            sizeBytes: meta.sizeBytes,
+            sha256: meta.sha256,
+            slicer: meta.slicer,
+            slicerVersion: meta.slicerVersion,
+            estimatedTimeMin: meta.estimatedTimeMin,
+            filamentGrams: meta.filamentGrams,
+            material: meta.material,
+            layerCount: meta.layerCount,
+            nozzleDiameter: meta.nozzleDiameter,
+            sizeX: meta.sizeX,
+            sizeY: meta.sizeY,
+            sizeZ: meta.sizeZ,
+        };
+
+        // Replace any previous upload for this job
+        if (job.gcodeFile && fs.existsSync(job.gcodeFile.filePath)) fs.unlinkSync(job.gcodeFile.filePath);
+        const gcodeFile = await prisma.gcodeFile.upsert({
+            where: { jobId: job.id },
+            create: { jobId: job.id, ...fileData },
+            update: { ...fileData, uploadedAt: new Date() },
+        });
+        stored = true;
+
+        // Slicer values win over hand-typed ones
+        const updated = await prisma.job.update({
+            where: { id: job.id },
+            data: {
+                ...(meta.estimatedTimeMin !== null && { estimatedTime: meta.estimatedTimeMin }),
+                ...(meta.filamentGrams !== null && { weightGrams: meta.filamentGrams }),
+                ...(meta.material && { material: meta.material }),
+                ...(meta.layerCount !== null && { layerCount: meta.layerCount }),
+                ...(meta.nozzleDiameter !== null && { nozzleDiameter: meta.nozzleDiameter }),
+                ...(meta.sizeX !== null && { sizeX: meta.sizeX }),
+                ...(meta.sizeY !== null && { sizeY: meta.sizeY }),
+                ...(meta.sizeZ !== null && { sizeZ: meta.sizeZ }),
+            },
+            include: { gcodeFile: true },
+        });
+
+        await prisma.auditLog.create({
+            data: {
+                userId: req.user.id, action: 'GCODE_UPLOADED', entity: 'Job', entityId: String(job.id),
+                details: JSON.stringify({ file: gcodeFile.originalName, sha256: gcodeFile.sha256 })
+            }
+        });
+
+        const io = req.app.get('io');
+        io.emit('queue:updated', { type: 'JOB_UPDATED', job: updated });
+
+        res.status(201).json(updated);
+    } catch (err) {
+        console.error('[JOBS] G-code upload error:', err);
+        if (req.file && !stored) fs.promises.unlink(req.file.path).catch(() => { });
+        res.status(500).json({ error: 'Failed to upload G-code' });
+    }
+});
+
+// GET /api/jobs/:id/gcode — Uploaded file metadata
+router.get('/:id/gcode', authenticate, async (req, res) => {
+    try {
+        const file = await prisma.gcodeFile.findUnique({ where: { jobId: +req.params.id } });
+        if (!file) return res.status(404).json({ error: 'No G-code uploaded for this job' });
+        res.json(file);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load G-code metadata' });
+    }
+});
+
+// GET /api/jobs/:id/snapshots — Timelapse frames and final frame (?kind=frame|final)
+router.get('/:id/snapshots', authenticate, async (req, res) => {
+    try {
+        const snapshots = await prisma.jobSnapshot.findMany({
+            where: { jobId: +req.params.id, ...(req.query.kind && { kind: req.query.kind }) },
+            select: { id: true, kind: true, printerId: true, sizeBytes: true, capturedAt: true },
+            orderBy: { capturedAt: 'asc' },
+        });
+        // Image URLs carry a ticket for this job's frames — valid for a minute, list again for fresh ones
+        const ticket = encodeURIComponent(issueMediaTicket(req.user, `job-snapshots:${+req.params.id}`));
+        res.json(snapshots.map(s => ({ ...s, url: `/api/jobs/${req.params.id}/snapshots/${s.id}/image?ticket=${ticket}` })));
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load snapshots' });
+    }
+});
+
+// GET /api/jobs/:id/snapshots/:snapshotId/image — Stored JPEG
+router.get('/:id/snapshots/:snapshotId/image', mediaTicket(req => `job-snapshots:${+req.params.id}`), async (req, res) => {
+    try {
+        const snapshot = await prisma.jobSnapshot.findFirst({
+            where: { id: +req.params.snapshotId, jobId: +req.params.id },
+        });
+        if (!snapshot || !fs.existsSync(snapshot.filePath)) return res.status(404).json({ error: 'Snapshot not found' });
+        res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+        res.sendFile(snapshot.filePath);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load snapshot' });
+    }
+});
+
 module.exports = router;
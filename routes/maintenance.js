@@ -0,0 +1,232 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requireRole } = require('../middleware/auth');
+const maintenanceService = require('../services/maintenanceService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const ORDER_INCLUDE = {
+    task: true,
+    printer: { select: { id: true, name: true, model: true, printHours: true } },
+    assignedTo: { select: { id: true, name: true, email: true } },
+};
+
+function withOverdue(order) {
+    return { ...order, overdue: order.status !== 'done' && order.status !== 'cancelled' && maintenanceService.isOverdue(order, order.printer) };
+}
+
+async function audit(req, action, entity, entityId, details) {
+    await prisma.auditLog.create({
+        data: {
+            userId: req.user.id, action, entity, entityId: String(entityId),
+            details: details ? JSON.stringify(details) : null,
+        },
+    });
+}
+
+function taskData(body) {
+    const { name, description, printerModel, intervalHours, intervalDays, isCritical, isActive } = body;
+    return {
+        ...(name !== undefined && { name }),
+        ...(description !== undefined && { description }),
+        ...(printerModel !== undefined && { printerModel: printerModel || null }),
+        ...(intervalHours !== undefined && { intervalHours: intervalHours ? +intervalHours : null }),
+        ...(intervalDays !== undefined && { intervalDays: intervalDays ? +intervalDays : null }),
+        ...(isCritical !== undefined && { isCritical }),
+        ...(isActive !== undefined && { isActive }),
+    };
+}
+
+// ─── Task definitions ─────────────────────────────────────────
+
+// GET /api/maintenance/tasks
+router.get('/tasks', authenticate, async (req, res) => {
+    try {
+        const tasks = await prisma.maintenanceTask.findMany({
+            where: req.query.all ? {} : { isActive: true },
+            orderBy: [{ printerModel: 'asc' }, { name: 'asc' }],
+        });
+        res.json(tasks);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load maintenance tasks' });
+    }
+});
+
+// POST /api/maintenance/tasks
+router.post('/tasks', authenticate, requireRole('owner'), async (req, res) => {
+    try {
+        const data = taskData(req.body);
+        if (!data.name) return res.status(400).json({ error: 'name required' });
+        if (!data.intervalHours && !data.intervalDays) {
+            return res.status(400).json({ error: 'intervalHours or intervalDays required' });
+        }
+
+        const task = await prisma.maintenanceTask.create({ data });
+        await audit(req, 'MAINTENANCE_TASK_CREATED', 'MaintenanceTask', task.id, data);
+        res.status(201).json(task);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to create maintenance task' });
+    }
+});
+
+// PUT /api/maintenance/tasks/:id
+router.put('/tasks/:id', authenticate, requireRole('owner'), async (req, res) => {
+    try {
+        const existing = await prisma.maintenanceTask.findUnique({ where: { id: +req.params.id } });
+        if (!existing) return res.status(404).json({ error: 'Maintenance task not found' });
+
+        const data = taskData(req.body);
+        const merged = { ...existing, ...data };
+        if (!merged.intervalHours && !merged.intervalDays) {
+            return res.status(400).json({ error: 'Task needs intervalHours or intervalDays' });
+        }
+
+        const task = await prisma.maintenanceTask.update({ where: { id: existing.id }, data });
+        await audit(req, 'MAINTENANCE_TASK_UPDATED', 'MaintenanceTask', task.id, req.body);
+        res.json(task);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to update maintenance task' });
+    }
+});
+
+// DELETE /api/maintenance/tasks/:id — Deactivate (history is kept)
+router.delete('/tasks/:id', authenticate, requireRole('owner'), async (req, res) => {
+    try {
+        await prisma.maintenanceTask.update({ where: { id: +req.params.id }, data: { isActive: false } });
+        await audit(req, 'MAINTENANCE_TASK_DEACTIVATED', 'MaintenanceTask', req.params.id);
+        res.json({ message: 'Maintenance task deactivated' });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to deactivate maintenance task' });
+    }
+});
+
+// ─── Per-printer status ───────────────────────────────────────
+
+// GET /api/maintenance/printers/:id — Every applicable task with hours/days since service
+router.get('/printers/:id', authenticate, async (req, res) => {
+    try {
+        const printer = await prisma.printer.findUnique({ where: { id: +req.params.id } });
+        if (!printer) return res.status(404).json({ error: 'Printer not found' });
+
+        const [tasks, orders] = await Promise.all([
+            prisma.maintenanceTask.findMany({ where: { isActive: true } }),
+            prisma.maintenanceOrder.findMany({
+                where: { printerId: printer.id, status: { not: 'cancelled' } },
+                orderBy: { completedAt: 'desc' },
+            }),
+        ]);
+
+        const status = tasks.filter(t => maintenanceService.appliesTo(t, printer)).map(task => {
+            const lastDone = orders.find(o => o.taskId === task.id && o.status === 'done');
+            const openOrder = orders.find(o => o.taskId === task.id && maintenanceService.OPEN_STATUSES.includes(o.status));
+            return {
+                task,
+                lastServicedAt: lastDone?.completedAt || null,
+                openOrderId: openOrder?.id || null,
+                ...maintenanceService.taskStatus(task, printer, lastDone),
+            };
+        });
+
+        const blocked = await maintenanceService.blockedPrinterIds(prisma);
+        res.json({ printerId: printer.id, printHours: printer.printHours, blocked: blocked.has(printer.id), tasks: status });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load printer maintenance status' });
+    }
+});
+
+// ─── Work orders ──────────────────────────────────────────────
+
+// GET /api/maintenance/orders — ?status=&printerId=&mine=true (default: open + in_progress)
+router.get('/orders', authenticate, async (req, res) => {
+    try {
+        const { status, printerId, mine } = req.query;
+        const orders = await prisma.maintenanceOrder.findMany({
+            where: {
+                status: status || { in: maintenanceService.OPEN_STATUSES },
+                ...(printerId && { printerId: +printerId }),
+                ...(mine === 'true' && { assignedToId: req.user.id }),
+            },
+            include: ORDER_INCLUDE,
+            orderBy: { createdAt: 'asc' },
+            take: 200,
+        });
+        res.json(orders.map(withOverdue));
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load work orders' });
+    }
+});
+
+// PUT /api/maintenance/orders/:id/assign — { userId } of a maintenance user (null to unassign)
+router.put('/orders/:id/assign', authenticate, requireRole('owner', 'operator'), async (req, res) => {
+    try {
+        const { userId } = req.body;
+        if (userId) {
+            const user = await prisma.user.findUnique({ where: { id: +userId } });
+            if (!user || !user.isActive) return res.status(404).json({ error: 'User not found' });
+            if (user.role !== 'maintenance') return res.status(400).json({ error: 'Work orders can only be assigned to maintenance users' });
+        }
+
+        const order = await prisma.maintenanceOrder.update({
+            where: { id: +req.params.id },
+            data: { assignedToId: userId ? +userId : null },
+            include: ORDER_INCLUDE,
+        });
+        await audit(req, 'MAINTENANCE_ORDER_ASSIGNED', 'MaintenanceOrder', order.id, { userId: order.assignedToId });
+        req.app.get('io').emit('maintenance:updated', { orderId: order.id, printerId: order.printerId, assignedToId: order.assignedToId });
+        res.json(withOverdue(order));
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to assign work order' });
+    }
+});
+
+// PUT /api/maintenance/orders/:id/status — { status: in_progress|done|cancelled, notes }
+router.put('/orders/:id/status', authenticate, requireRole('owner', 'maintenance'), async (req, res) => {
+    try {
+        const { status, notes } = req.body;
+        const validStatuses = ['in_progress', 'done', 'cancelled'];
+        if (!validStatuses.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Valid: ${validStatuses.join(', ')}` });
+        }
+        if (status === 'cancelled' && req.user.role !== 'owner') {
+            return res.status(403).json({ error: 'Only the owner can cancel work orders' });
+        }
+
+        const existing = await prisma.maintenanceOrder.findUnique({
+            where: { id: +req.params.id },
+            include: { printer: true },
+        });
+        if (!existing) return res.status(404).json({ error: 'Work order not found' });
+        if (!maintenanceService.OPEN_STATUSES.includes(existing.status)) {
+            return res.status(409).json({ error: `Work order is already ${existing.status}` });
+        }
+
+        const order = await prisma.maintenanceOrder.update({
+            where: { id: existing.id },
+            data: {
+                status,
+                ...(notes !== undefined && { notes }),
+                // Picking up an unassigned order assigns it to yourself
+                ...(!existing.assignedToId && req.user.role === 'maintenance' && { assignedToId: req.user.id }),
+                ...(status === 'done' && { completedAt: new Date(), printHoursAtService: existing.printer.printHours }),
+            },
+            include: ORDER_INCLUDE,
+        });
+
+        await audit(req, `MAINTENANCE_ORDER_${status.toUpperCase()}`, 'MaintenanceOrder', order.id, { notes });
+        if (status === 'done') {
+            await prisma.printerEvent.create({
+                data: {
+                    printerId: order.printerId, level: 'INFO', code: 'MAINTENANCE_DONE',
+                    message: `${order.task.name} completed by ${req.user.name} at ${order.printer.printHours.toFixed(1)} print hours`,
+                },
+            });
+        }
+        req.app.get('io').emit('maintenance:updated', { orderId: order.id, printerId: order.printerId, status });
+        res.json(withOverdue(order));
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to update work order' });
+    }
+});
+
+module.exports = router;
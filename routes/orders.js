@@ -49,8 +49,9 @@ router.get('/:id', authenticate, async (req, res) => {
 // POST /api/orders — Manual order creation
 router.post('/', authenticate, requireRole('owner', 'operator'), async (req, res) => {
     try {
-        const { customerName, customerEmail, items, totalValue, currency, notes } = req.body;
+        const { customerName, customerEmail, items, totalValue, currency, notes, dueAt } = req.body;
         if (!customerName) return res.status(400).json({ error: 'Customer name required' });
+        if (dueAt && isNaN(new Date(dueAt))) return res.status(400).json({ error: 'dueAt must be a date' });
 
         const orderId = `ORD-${Date.now()}`;
         const order = await prisma.order.create({
@@ -63,6 +64,7 @@ router.post('/', authenticate, requireRole('owner', 'operator'), async (req, res
                 totalValue: totalValue || 0,
                 currency: currency || 'EUR',
                 notes: notes || null,
+                dueAt: dueAt ? new Date(dueAt) : null,
                 statusLogs: {
                     create: { toStatus: 'incoming', actor: req.user.email }
                 },
@@ -115,6 +117,47 @@ router.put('/:id/status', authenticate, requireRole('owner', 'operator'), async
     }
 });
 
+// PUT /api/orders/:id/due — Set or clear the ship-by date { dueAt }
+// Unfinished jobs that were due with the order move with it; jobs with their own date keep it.
+router.put('/:id/due', authenticate, requireRole('owner', 'operator'), async (req, res) => {
+    try {
+        const { dueAt } = req.body;
+        if (dueAt === undefined || (dueAt !== null && isNaN(new Date(dueAt)))) {
+            return res.status(400).json({ error: 'dueAt must be a date or null' });
+        }
+
+        const current = await prisma.order.findUnique({ where: { id: +req.params.id } });
+        if (!current) return res.status(404).json({ error: 'Order not found' });
+
+        const next = dueAt === null ? null : new Date(dueAt);
+        const [order, jobs] = await prisma.$transaction([
+            prisma.order.update({ where: { id: current.id }, data: { dueAt: next } }),
+            prisma.job.updateMany({
+                where: {
+                    orderId: current.id,
+                    status: { notIn: ['completed', 'failed', 'cancelled'] },
+                    OR: [{ dueAt: null }, ...(current.dueAt ? [{ dueAt: current.dueAt }] : [])],
+                },
+                data: { dueAt: next, lateRiskAt: null },
+            }),
+        ]);
+
+        await prisma.auditLog.create({
+            data: {
+                userId: req.user.id, action: 'ORDER_DUE_CHANGED', entity: 'Order', entityId: String(order.id),
+                details: JSON.stringify({ from: current.dueAt, to: next, jobsUpdated: jobs.count })
+            }
+        });
+
+        const io = req.app.get('io');
+        io.emit('order:statusChanged', { orderId: order.id, dueAt: next });
+
+        res.json({ ...order, jobsUpdated: jobs.count });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to update due date' });
+    }
+});
+
 // GET /api/orders/export — CSV download
 router.get('/export/csv', authenticate, requireRole('owner'), async (req, res) => {
     try {
@@ -1,10 +1,39 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authenticate, requireRole } = require('../middleware/auth');
+const { authenticate, requireRole, issueMediaTicket, mediaTicket, MEDIA_TICKET_TTL_SEC } = require('../middleware/auth');
+const printerCommandService = require('../services/printerCommandService');
+const drivers = require('../services/drivers');
+const telemetryRollup = require('../services/telemetryRollup');
+const capabilityService = require('../services/capabilityService');
+const cameraService = require('../services/cameraService');
+const printerStateService = require('../services/printerStateService');
+const telemetryPushService = require('../services/telemetryPushService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Never send printer credentials to the browser
+function maskSecrets(printer) {
+    const { pushSecret, ...rest } = printer;
+    return { ...rest, apiKey: printer.apiKey ? `***${printer.apiKey.slice(-4)}` : null, hasPushSecret: !!pushSecret };
+}
+
+const TELEMETRY_MODES = ['poll', 'push'];
+
+// Capability fields from a request body; materials may be an array or "PLA,PETG"
+function capabilityData(body) {
+    const { buildX, buildY, buildZ, nozzleDiameter, materials, hasEnclosure } = body;
+    const list = Array.isArray(materials) ? materials.join(',') : materials;
+    return {
+        ...(buildX !== undefined && { buildX: +buildX }),
+        ...(buildY !== undefined && { buildY: +buildY }),
+        ...(buildZ !== undefined && { buildZ: +buildZ }),
+        ...(nozzleDiameter !== undefined && { nozzleDiameter: +nozzleDiameter }),
+        ...(list !== undefined && { materials: capabilityService.parseMaterials(list).join(',') }),
+        ...(hasEnclosure !== undefined && { hasEnclosure: !!hasEnclosure }),
+    };
+}
+
 // GET /api/printers — All printers with latest telemetry
 router.get('/', authenticate, async (req, res) => {
     try {
@@ -23,7 +52,7 @@ router.get('/', authenticate, async (req, res) => {
                 where: { printerId: p.id, status: 'printing' },
             });
             return {
-                ...p,
+                ...maskSecrets(p),
                 telemetry: telemetry || { status: 'offline', extruderTemp: 0, bedTemp: 0, progress: 0, energyDraw: 0 },
                 currentJob: activeJob?.name || null,
             };
@@ -39,16 +68,47 @@ router.get('/', authenticate, async (req, res) => {
 // POST /api/printers — Add new printer (Admin only)
 router.post('/', authenticate, requireRole('owner'), async (req, res) => {
     try {
-        const { name, ipAddress, model, firmware, energyRating, maxTempExtruder, maxTempBed } = req.body;
+        const { name, ipAddress, port, driver, apiKey, serialNumber, model, firmware, energyRating, maxTempExtruder, maxTempBed, group, telemetryMode } = req.body;
         if (!name || !ipAddress) {
             return res.status(400).json({ error: 'Name and IP address required' });
         }
+        const mode = telemetryMode || 'poll';
+        if (!TELEMETRY_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Invalid telemetryMode. Valid: ${TELEMETRY_MODES.join(', ')}` });
+        }
+        const capabilities = capabilityData(req.body);
+        if (Object.values(capabilities).some(v => typeof v === 'number' && !(v > 0))) {
+            return res.status(400).json({ error: 'Dimensions and nozzle must be positive numbers' });
+        }
+
+        const driverName = driver || 'moonraker';
+        const printerDriver = drivers.getDriver(driverName);
+        if (!printerDriver) {
+            return res.status(400).json({ error: `Invalid driver. Valid: ${drivers.driverNames.join(', ')}` });
+        }
+
+        // Make sure the printer answers before registering it — push printers are not reachable from here
+        const connection = { ipAddress, port: port || printerDriver.defaultPort, driver: driverName, apiKey, serialNumber };
+        let probe = {};
+        if (mode === 'poll') {
+            try {
+                probe = await printerDriver.probe(connection);
+            } catch (err) {
+                return res.status(422).json({ error: `Cannot connect to printer via ${driverName}: ${err.message}` });
+            }
+        }
+        const pushSecret = mode === 'push' ? telemetryPushService.generateSecret() : null;
 
         const printer = await prisma.printer.create({
             data: {
-                name, ipAddress, model: model || 'Generic', firmware: firmware || 'unknown',
+                name, ipAddress, port: connection.port, driver: driverName,
+                apiKey: apiKey || null, serialNumber: serialNumber || null,
+                model: model || probe.model || 'Generic', firmware: firmware || probe.firmware || 'unknown',
+                hostname: probe.hostname || null, group: group || null,
+                telemetryMode: mode, pushSecret,
                 energyRating: energyRating || 0.4, maxTempExtruder: maxTempExtruder || 260,
-                maxTempBed: maxTempBed || 110
+                maxTempBed: maxTempBed || 110,
+                ...capabilities,
             },
         });
 
@@ -60,14 +120,15 @@ router.post('/', authenticate, requireRole('owner'), async (req, res) => {
         await prisma.auditLog.create({
             data: {
                 userId: req.user.id, action: 'PRINTER_ADDED', entity: 'Printer',
-                entityId: String(printer.id), details: JSON.stringify({ name, ipAddress })
+                entityId: String(printer.id), details: JSON.stringify({ name, ipAddress, driver: driverName })
             }
         });
 
         const io = req.app.get('io');
-        io.emit('queue:updated', { type: 'PRINTER_ADDED', printer });
+        io.emit('queue:updated', { type: 'PRINTER_ADDED', printer: maskSecrets(printer) });
 
-        res.status(201).json(printer);
+        // The push secret is shown once — the edge agent needs it to sign requests
+        res.status(201).json({ ...maskSecrets(printer), ...(pushSecret && { pushSecret }) });
     } catch (err) {
         if (err.code === 'P2002') return res.status(409).json({ error: 'Printer name already exists' });
         console.error('[PRINTERS] POST error:', err);
@@ -87,31 +148,321 @@ router.get('/:id', authenticate, async (req, res) => {
         });
         const activeJob = await prisma.job.findFirst({ where: { printerId: printer.id, status: 'printing' } });
 
-        res.json({ ...printer, telemetry, currentJob: activeJob });
+        res.json({ ...maskSecrets(printer), telemetry, currentJob: activeJob });
     } catch (err) {
         res.status(500).json({ error: 'Failed to load printer' });
     }
 });
 
-// GET /api/printers/:id/telemetry — Recent telemetry history
-router.get('/:id/telemetry', authenticate, async (req, res) => {
+// PUT /api/printers/:id — Edit printer settings (Admin only)
+// Connection changes are probed first like on POST; { force: true } saves an unreachable address anyway
+router.put('/:id', authenticate, requireRole('owner'), async (req, res) => {
     try {
-        const records = await prisma.printerTelemetry.findMany({
-            where: { printerId: +req.params.id },
-            orderBy: { recordedAt: 'desc' },
-            take: 100,
+        const existing = await prisma.printer.findUnique({ where: { id: +req.params.id } });
+        if (!existing) return res.status(404).json({ error: 'Printer not found' });
+
+        const { name, ipAddress, port, driver, apiKey, serialNumber, model, firmware, energyRating, maxTempExtruder, maxTempBed, group, force } = req.body;
+        if (name !== undefined && !String(name).trim()) return res.status(400).json({ error: 'Name cannot be empty' });
+        if (ipAddress !== undefined && !String(ipAddress).trim()) return res.status(400).json({ error: 'IP address cannot be empty' });
+
+        const driverName = driver ?? existing.driver;
+        const printerDriver = drivers.getDriver(driverName);
+        if (!printerDriver) {
+            return res.status(400).json({ error: `Invalid driver. Valid: ${drivers.driverNames.join(', ')}` });
+        }
+        // Switching driver without a port moves to the new driver's default
+        const newPort = port !== undefined ? +port : (driverName !== existing.driver ? printerDriver.defaultPort : existing.port);
+        if (!Number.isInteger(newPort) || newPort < 1 || newPort > 65535) {
+            return res.status(400).json({ error: 'Port must be between 1 and 65535' });
+        }
+
+        const data = {
+            ...(name !== undefined && { name: String(name).trim() }),
+            ...(ipAddress !== undefined && { ipAddress: String(ipAddress).trim() }),
+            port: newPort,
+            driver: driverName,
+            // The masked key from GET comes back unchanged — keep the stored one
+            ...(apiKey !== undefined && !String(apiKey || '').startsWith('***') && { apiKey: apiKey || null }),
+            ...(serialNumber !== undefined && { serialNumber: serialNumber || null }),
+            ...(model !== undefined && { model: model || 'Generic' }),
+            ...(firmware !== undefined && { firmware: firmware || 'unknown' }),
+            ...(group !== undefined && { group: group ? String(group).trim() : null }),
+            ...(energyRating !== undefined && { energyRating: +energyRating }),
+            ...(maxTempExtruder !== undefined && { maxTempExtruder: +maxTempExtruder }),
+            ...(maxTempBed !== undefined && { maxTempBed: +maxTempBed }),
+            ...capabilityData(req.body),
+        };
+        if (Object.entries(data).some(([key, v]) => key !== 'port' && typeof v === 'number' && !(v > 0))) {
+            return res.status(400).json({ error: 'Energy rating, temperatures, dimensions and nozzle must be positive numbers' });
+        }
+
+        const connectionKeys = ['ipAddress', 'port', 'driver', 'apiKey', 'serialNumber'];
+        const connectionChanged = connectionKeys.some(key => key in data && data[key] !== existing[key]);
+        if (connectionChanged && !force && existing.telemetryMode === 'poll') {
+            try {
+                const probe = await printerDriver.probe({ ...existing, ...data });
+                if (firmware === undefined && probe.firmware) data.firmware = probe.firmware;
+                if (probe.hostname) data.hostname = probe.hostname;
+            } catch (err) {
+                return res.status(422).json({ error: `Cannot connect to printer via ${driverName}: ${err.message}` });
+            }
+        }
+
+        const printer = await prisma.printer.update({ where: { id: existing.id }, data });
+
+        // Old and new values of what actually changed — secrets are only flagged
+        const changes = {};
+        for (const [key, value] of Object.entries(data)) {
+            if (value === existing[key]) continue;
+            changes[key] = key === 'apiKey' ? 'changed' : { from: existing[key], to: value };
+        }
+        await prisma.auditLog.create({
+            data: {
+                userId: req.user.id, action: 'PRINTER_UPDATED', entity: 'Printer',
+                entityId: String(printer.id), ipAddress: req.ip, details: JSON.stringify({ changes, forced: !!(connectionChanged && force) })
+            }
+        });
+
+        const io = req.app.get('io');
+        io.emit('queue:updated', { type: 'PRINTER_UPDATED', printer: maskSecrets(printer) });
+
+        res.json(maskSecrets(printer));
+    } catch (err) {
+        if (err.code === 'P2002') return res.status(409).json({ error: 'Printer name already exists' });
+        console.error('[PRINTERS] PUT error:', err);
+        res.status(500).json({ error: 'Failed to update printer' });
+    }
+});
+
+// PUT /api/printers/:id/capabilities — Build volume, nozzle, materials, enclosure, max temps
+router.put('/:id/capabilities', authenticate, requireRole('owner'), async (req, res) => {
+    try {
+        const { maxTempExtruder, maxTempBed } = req.body;
+        const data = {
+            ...capabilityData(req.body),
+            ...(maxTempExtruder !== undefined && { maxTempExtruder: +maxTempExtruder }),
+            ...(maxTempBed !== undefined && { maxTempBed: +maxTempBed }),
+        };
+        if (Object.values(data).some(v => typeof v === 'number' && !(v > 0))) {
+            return res.status(400).json({ error: 'Dimensions, nozzle and temperatures must be positive numbers' });
+        }
+
+        const printer = await prisma.printer.update({ where: { id: +req.params.id }, data });
+
+        await prisma.auditLog.create({
+            data: {
+                userId: req.user.id, action: 'PRINTER_CAPABILITIES_UPDATED', entity: 'Printer',
+                entityId: String(printer.id), details: JSON.stringify(data)
+            }
+        });
+
+        res.json(maskSecrets(printer));
+    } catch (err) {
+        if (err.code === 'P2025') return res.status(404).json({ error: 'Printer not found' });
+        res.status(500).json({ error: 'Failed to update printer capabilities' });
+    }
+});
+
+// PUT /api/printers/:id/telemetry-mode — poll (backend reaches the printer) or push (signed posts from an edge agent)
+// Switching to push creates the HMAC secret if there is none; it is only returned here
+router.put('/:id/telemetry-mode', authenticate, requireRole('owner'), async (req, res) => {
+    try {
+        const { mode } = req.body;
+        if (!TELEMETRY_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Invalid mode. Valid: ${TELEMETRY_MODES.join(', ')}` });
+        }
+        const existing = await prisma.printer.findUnique({ where: { id: +req.params.id } });
+        if (!existing) return res.status(404).json({ error: 'Printer not found' });
+
+        const pushSecret = mode === 'push' && !existing.pushSecret ? telemetryPushService.generateSecret() : null;
+        const printer = await prisma.printer.update({
+            where: { id: existing.id },
+            data: { telemetryMode: mode, ...(pushSecret && { pushSecret }) },
+        });
+        await prisma.auditLog.create({
+            data: {
+                userId: req.user.id, action: 'PRINTER_TELEMETRY_MODE', entity: 'Printer',
+                entityId: String(printer.id), details: JSON.stringify({ from: existing.telemetryMode, to: mode, secretCreated: !!pushSecret })
+            }
+        });
+
+        res.json({
+            printerId: printer.id, telemetryMode: printer.telemetryMode,
+            ...(mode === 'push' && { pushUrl: `/api/telemetry/push/${printer.id}` }),
+            ...(pushSecret && { pushSecret }),
+        });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to update telemetry mode' });
+    }
+});
+
+// POST /api/printers/:id/push-secret — Rotate the HMAC secret (the old one stops working immediately)
+router.post('/:id/push-secret', authenticate, requireRole('owner'), async (req, res) => {
+    try {
+        const pushSecret = telemetryPushService.generateSecret();
+        const printer = await prisma.printer.update({ where: { id: +req.params.id }, data: { pushSecret } });
+        telemetryPushService.forget(printer.id);
+        await prisma.auditLog.create({
+            data: {
+                userId: req.user.id, action: 'PRINTER_PUSH_SECRET_ROTATED', entity: 'Printer',
+                entityId: String(printer.id), ipAddress: req.ip
+            }
+        });
+        res.json({ printerId: printer.id, telemetryMode: printer.telemetryMode, pushUrl: `/api/telemetry/push/${printer.id}`, pushSecret });
+    } catch (err) {
+        if (err.code === 'P2025') return res.status(404).json({ error: 'Printer not found' });
+        res.status(500).json({ error: 'Failed to rotate push secret' });
+    }
+});
+
+// GET /api/printers/:id/camera/ticket — Short-lived ?ticket= for the camera URLs (for <img> tags)
+router.get('/:id/camera/ticket', authenticate, async (req, res) => {
+    try {
+        const printer = await prisma.printer.findUnique({ where: { id: +req.params.id } });
+        if (!printer) return res.status(404).json({ error: 'Printer not found' });
+
+        const ticket = encodeURIComponent(issueMediaTicket(req.user, `camera:${printer.id}`));
+        res.json({
+            expiresIn: MEDIA_TICKET_TTL_SEC,
+            snapshotUrl: `/api/printers/${printer.id}/camera?ticket=${ticket}`,
+            streamUrl: `/api/printers/${printer.id}/camera/stream?ticket=${ticket}`,
+        });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to issue camera ticket' });
+    }
+});
+
+const cameraTicket = mediaTicket(req => `camera:${+req.params.id}`);
+
+// GET /api/printers/:id/camera — Current webcam snapshot (JPEG)
+router.get('/:id/camera', cameraTicket, async (req, res) => {
+    try {
+        const printer = await prisma.printer.findUnique({ where: { id: +req.params.id } });
+        if (!printer) return res.status(404).json({ error: 'Printer not found' });
+        if (!cameraService.cameraUrls(printer).snapshot) return res.status(404).json({ error: 'No camera configured for this printer' });
+
+        let snapshot;
+        try {
+            snapshot = await cameraService.fetchSnapshot(printer);
+        } catch (err) {
+            return res.status(502).json({ error: `Camera unavailable: ${err.message}` });
+        }
+        // Embedded as <img> by the dashboard on another origin
+        res.set({ 'Content-Type': snapshot.contentType, 'Cache-Control': 'no-store', 'Cross-Origin-Resource-Policy': 'cross-origin' });
+        res.send(snapshot.data);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load camera snapshot' });
+    }
+});
+
+// GET /api/printers/:id/camera/stream — Live MJPEG stream, proxied until the client disconnects (ticket checked on connect)
+router.get('/:id/camera/stream', cameraTicket, async (req, res) => {
+    try {
+        const printer = await prisma.printer.findUnique({ where: { id: +req.params.id } });
+        if (!printer) return res.status(404).json({ error: 'Printer not found' });
+        if (!cameraService.cameraUrls(printer).stream) return res.status(404).json({ error: 'No camera configured for this printer' });
+
+        let upstream;
+        try {
+            upstream = await cameraService.openStream(printer);
+        } catch (err) {
+            return res.status(502).json({ error: `Camera unavailable: ${err.message}` });
+        }
+
+        res.set({
+            'Content-Type': upstream.contentType, 'Cache-Control': 'no-store', Connection: 'close',
+            'Cross-Origin-Resource-Policy': 'cross-origin',
+        });
+        req.on('close', upstream.abort);
+        upstream.stream.on('error', () => res.end());
+        upstream.stream.pipe(res);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to open camera stream' });
+    }
+});
+
+// PUT /api/printers/:id/camera — Override webcam URLs (empty = driver default)
+router.put('/:id/camera', authenticate, requireRole('owner'), async (req, res) => {
+    try {
+        const { cameraUrl, streamUrl } = req.body;
+        if ([cameraUrl, streamUrl].some(url => url && !/^https?:\/\//i.test(url))) {
+            return res.status(400).json({ error: 'Camera URLs must start with http:// or https://' });
+        }
+        const printer = await prisma.printer.update({
+            where: { id: +req.params.id },
+            data: {
+                ...(cameraUrl !== undefined && { cameraUrl: cameraUrl || null }),
+                ...(streamUrl !== undefined && { streamUrl: streamUrl || null }),
+            },
+        });
+        await prisma.auditLog.create({
+            data: {
+                userId: req.user.id, action: 'PRINTER_CAMERA_UPDATED', entity: 'Printer',
+                entityId: String(printer.id), details: JSON.stringify({ cameraUrl, streamUrl })
+            }
         });
-        res.json(records);
+        res.json({ printerId: printer.id, ...cameraService.cameraUrls(printer) });
     } catch (err) {
+        if (err.code === 'P2025') return res.status(404).json({ error: 'Printer not found' });
+        res.status(500).json({ error: 'Failed to update camera settings' });
+    }
+});
+
+// GET /api/printers/:id/telemetry — Telemetry history
+// No params: last 100 raw rows. ?from&to[&resolution=auto|raw|1m|1h]: time-range query on the right tier
+router.get('/:id/telemetry', authenticate, async (req, res) => {
+    try {
+        const { from, to, resolution } = req.query;
+        if (!from && !to && !resolution) {
+            const records = await prisma.printerTelemetry.findMany({
+                where: { printerId: +req.params.id },
+                orderBy: { recordedAt: 'desc' },
+                take: 100,
+            });
+            return res.json(records);
+        }
+
+        const validResolutions = ['auto', 'raw', '1m', '1h'];
+        if (resolution && !validResolutions.includes(resolution)) {
+            return res.status(400).json({ error: `Invalid resolution. Valid: ${validResolutions.join(', ')}` });
+        }
+        const toDate = to ? new Date(to) : new Date();
+        const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 60 * 60 * 1000);
+        if (isNaN(fromDate) || isNaN(toDate) || fromDate >= toDate) {
+            return res.status(400).json({ error: 'from/to must be valid dates with from < to' });
+        }
+
+        const result = await telemetryRollup.queryTelemetry(prisma, +req.params.id, fromDate, toDate, resolution || 'auto');
+        res.json({ printerId: +req.params.id, from: fromDate, to: toDate, ...result });
+    } catch (err) {
+        console.error('[PRINTERS] Telemetry query error:', err);
         res.status(500).json({ error: 'Failed to load telemetry' });
     }
 });
 
+// GET /api/printers/:id/history — State timeline (?from&to, default last 24h)
+router.get('/:id/history', authenticate, async (req, res) => {
+    try {
+        const toDate = req.query.to ? new Date(req.query.to) : new Date();
+        const fromDate = req.query.from ? new Date(req.query.from) : new Date(toDate.getTime() - 24 * 60 * 60 * 1000);
+        if (isNaN(fromDate) || isNaN(toDate) || fromDate >= toDate) {
+            return res.status(400).json({ error: 'from/to must be valid dates with from < to' });
+        }
+
+        const history = await printerStateService.getHistory(prisma, +req.params.id, fromDate, toDate);
+        res.json({ printerId: +req.params.id, from: fromDate, to: toDate, ...history });
+    } catch (err) {
+        console.error('[PRINTERS] History error:', err);
+        res.status(500).json({ error: 'Failed to load state history' });
+    }
+});
+
 // GET /api/printers/:id/events — Error logs
 router.get('/:id/events', authenticate, async (req, res) => {
     try {
         const events = await prisma.printerEvent.findMany({
             where: { printerId: +req.params.id },
+            include: { incident: { select: { id: true, status: true } } },
             orderBy: { createdAt: 'desc' },
             take: 50,
         });
@@ -124,44 +475,48 @@ router.get('/:id/events', authenticate, async (req, res) => {
 // POST /api/printers/:id/command — Send control command
 router.post('/:id/command', authenticate, requireRole('owner', 'operator'), async (req, res) => {
     try {
-        const { command } = req.body; // start | pause | resume | halt | maintenance
-        const validCommands = ['start', 'pause', 'resume', 'halt', 'maintenance'];
+        const { command, filename } = req.body; // start | pause | resume | halt | emergency_stop | maintenance
+        const validCommands = ['start', 'pause', 'resume', 'halt', 'emergency_stop', 'maintenance'];
         if (!validCommands.includes(command)) {
             return res.status(400).json({ error: `Invalid command. Valid: ${validCommands.join(', ')}` });
         }
+        if (command === 'start' && !filename) {
+            return res.status(400).json({ error: 'filename required for start' });
+        }
 
         const printer = await prisma.printer.findUnique({ where: { id: +req.params.id } });
         if (!printer) return res.status(404).json({ error: 'Printer not found' });
 
-        // Map command to status
-        const statusMap = {
-            start: 'printing',
-            pause: 'paused',
-            resume: 'printing',
-            halt: 'idle',
-            maintenance: 'maintenance',
-        };
-        const newStatus = statusMap[command];
+        const io = req.app.get('io');
 
-        // Update latest telemetry record
-        const latest = await prisma.printerTelemetry.findFirst({
-            where: { printerId: printer.id },
-            orderBy: { recordedAt: 'desc' },
-        });
-        if (latest) {
-            await prisma.printerTelemetry.update({
-                where: { id: latest.id },
-                data: { status: newStatus },
+        // Maintenance is a farm-side state only — nothing is sent to the machine
+        if (command === 'maintenance') {
+            const latest = await prisma.printerTelemetry.findFirst({
+                where: { printerId: printer.id },
+                orderBy: { recordedAt: 'desc' },
             });
+            if (latest) {
+                await prisma.printerTelemetry.update({
+                    where: { id: latest.id },
+                    data: { status: 'maintenance' },
+                });
+            }
         }
 
-        // Log command as event
+        const outcome = command === 'maintenance'
+            ? { result: 'success', status: 'maintenance', message: 'Marked for maintenance' }
+            : await printerCommandService.sendCommand(printer, command, filename ? { filename } : {});
+
+        const levels = { success: 'INFO', timeout: 'WARN', rejected: 'ERROR' };
+        const isStop = command === 'halt' || command === 'emergency_stop';
+
+        // Log command outcome as event
         await prisma.printerEvent.create({
             data: {
                 printerId: printer.id,
-                level: command === 'halt' ? 'WARN' : 'INFO',
+                level: outcome.result === 'success' && isStop ? 'WARN' : levels[outcome.result],
                 code: `CMD_${command.toUpperCase()}`,
-                message: `Command '${command}' sent by ${req.user.name}`,
+                message: `Command '${command}' sent by ${req.user.name} — ${outcome.result}: ${outcome.message}`,
             },
         });
 
@@ -169,30 +524,121 @@ router.post('/:id/command', authenticate, requireRole('owner', 'operator'), asyn
         await prisma.auditLog.create({
             data: {
                 userId: req.user.id, action: `PRINTER_${command.toUpperCase()}`,
-                entity: 'Printer', entityId: String(printer.id), ipAddress: req.ip
+                entity: 'Printer', entityId: String(printer.id), ipAddress: req.ip,
+                details: JSON.stringify({ result: outcome.result, status: outcome.status, filename }),
             }
         });
 
         // Emit real-time update
-        const io = req.app.get('io');
-        io.emit('printer:telemetry', { printerId: printer.id, status: newStatus });
+        if (outcome.result === 'success') {
+            io.emit('printer:telemetry', { printerId: printer.id, status: outcome.status });
+        }
         io.to(`printer:${printer.id}`).emit('printer:event', {
-            printerId: printer.id, command, newStatus, operator: req.user.name
+            printerId: printer.id, command, result: outcome.result, newStatus: outcome.status, operator: req.user.name
         });
 
-        res.json({ success: true, printerId: printer.id, command, newStatus });
+        const httpStatus = { success: 200, timeout: 504, rejected: 502 }[outcome.result];
+        res.status(httpStatus).json({
+            success: outcome.result === 'success',
+            printerId: printer.id,
+            command,
+            result: outcome.result,
+            newStatus: outcome.status,
+            message: outcome.message,
+        });
     } catch (err) {
         console.error('[PRINTERS] Command error:', err);
         res.status(500).json({ error: 'Command failed' });
     }
 });
 
+// POST /api/printers/:id/test-connection — Probe the printer's API and report firmware/model
+// Body fields (ipAddress, port, driver, apiKey, serialNumber) test unsaved settings instead
+router.post('/:id/test-connection', authenticate, requireRole('owner', 'operator'), async (req, res) => {
+    try {
+        const printer = await prisma.printer.findUnique({ where: { id: +req.params.id } });
+        if (!printer) return res.status(404).json({ error: 'Printer not found' });
+
+        const { ipAddress, port, driver, apiKey, serialNumber } = req.body || {};
+        const connection = {
+            ...printer,
+            ...(ipAddress && { ipAddress }),
+            ...(driver && { driver }),
+            ...(apiKey && !apiKey.startsWith('***') && { apiKey }),
+            ...(serialNumber && { serialNumber }),
+        };
+        const printerDriver = drivers.getDriver(connection.driver);
+        if (!printerDriver) {
+            return res.status(400).json({ error: `Invalid driver. Valid: ${drivers.driverNames.join(', ')}` });
+        }
+        connection.port = port ? +port : (driver && driver !== printer.driver ? printerDriver.defaultPort : printer.port);
+        // Probes of unsaved settings must not reuse the saved printer's driver session
+        if (['ipAddress', 'port', 'driver', 'apiKey', 'serialNumber'].some(key => connection[key] !== printer[key])) {
+            delete connection.id;
+        }
+
+        const target = { driver: connection.driver, ipAddress: connection.ipAddress, port: connection.port };
+        const startedAt = Date.now();
+        let probe;
+        try {
+            probe = await printerDriver.probe(connection);
+        } catch (err) {
+            return res.status(502).json({ success: false, ...target, latencyMs: Date.now() - startedAt, error: err.message });
+        }
+        const latencyMs = Date.now() - startedAt;
+
+        // Keep the firmware version current when the saved connection was tested
+        if (connection.id && probe.firmware && probe.firmware !== printer.firmware) {
+            await prisma.printer.update({ where: { id: printer.id }, data: { firmware: probe.firmware } });
+        }
+
+        res.json({
+            success: true, ...target, latencyMs,
+            firmware: probe.firmware || null, model: probe.model || null, hostname: probe.hostname || null,
+        });
+    } catch (err) {
+        console.error('[PRINTERS] Test connection error:', err);
+        res.status(500).json({ error: 'Connection test failed' });
+    }
+});
+
+// POST /api/printers/:id/reactivate — Bring a removed printer back
+router.post('/:id/reactivate', authenticate, requireRole('owner'), async (req, res) => {
+    try {
+        const existing = await prisma.printer.findUnique({ where: { id: +req.params.id } });
+        if (!existing) return res.status(404).json({ error: 'Printer not found' });
+        if (existing.isActive) return res.status(409).json({ error: 'Printer is already active' });
+
+        const printer = await prisma.printer.update({ where: { id: existing.id }, data: { isActive: true } });
+        await prisma.auditLog.create({
+            data: {
+                userId: req.user.id, action: 'PRINTER_REACTIVATED', entity: 'Printer',
+                entityId: String(printer.id), details: JSON.stringify({ name: printer.name })
+            }
+        });
+
+        const io = req.app.get('io');
+        io.emit('queue:updated', { type: 'PRINTER_ADDED', printer: maskSecrets(printer) });
+
+        res.json(maskSecrets(printer));
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to reactivate printer' });
+    }
+});
+
 // DELETE /api/printers/:id — Remove printer
 router.delete('/:id', authenticate, requireRole('owner'), async (req, res) => {
     try {
-        await prisma.printer.update({ where: { id: +req.params.id }, data: { isActive: false } });
+        const printer = await prisma.printer.update({ where: { id: +req.params.id }, data: { isActive: false } });
+        await prisma.auditLog.create({
+            data: {
+                userId: req.user.id, action: 'PRINTER_DEACTIVATED', entity: 'Printer',
+                entityId: String(printer.id), details: JSON.stringify({ name: printer.name })
+            }
+        });
         res.json({ message: 'Printer deactivated' });
     } catch (err) {
+        if (err.code === 'P2025') return res.status(404).json({ error: 'Printer not found' });
         res.status(500).json({ error: 'Failed to remove printer' });
     }
 });
@@ -1,16 +1,43 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticate, requireRole } = require('../middleware/auth');
+const queueEngine = require('../services/queueEngine');
+const capabilityService = require('../services/capabilityService');
+const farmControlService = require('../services/farmControlService');
+const jobLifecycleService = require('../services/jobLifecycleService');
+const energyBudgetService = require('../services/energyBudgetService');
+const scheduleService = require('../services/scheduleService');
+
+// Queue items of jobs that ended — hidden from the live queue unless asked for
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+const MAX_DEFER_MIN = 7 * 24 * 60; // a hold longer than a week is a forgotten job, not flexibility
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// GET /api/queue — Full queue
+// Validate { maxDeferMin, dueAt } — only the keys given end up in `data`
+function parseFlexibility({ maxDeferMin, dueAt }) {
+    const data = {};
+    if (maxDeferMin !== undefined) {
+        if (!Number.isInteger(maxDeferMin) || maxDeferMin < 0 || maxDeferMin > MAX_DEFER_MIN) {
+            return { error: `maxDeferMin must be a whole number of minutes from 0 to ${MAX_DEFER_MIN} (7 days)` };
+        }
+        data.maxDeferMin = maxDeferMin;
+    }
+    if (dueAt !== undefined) {
+        if (dueAt !== null && isNaN(new Date(dueAt))) return { error: 'dueAt must be a date' };
+        data.dueAt = dueAt === null ? null : new Date(dueAt);
+    }
+    return { data };
+}
+
+// GET /api/queue — Live queue (?finished=true also lists items of ended jobs)
 router.get('/', authenticate, async (req, res) => {
     try {
         const items = await prisma.queueItem.findMany({
+            where: req.query.finished === 'true' ? {} : { status: { notIn: FINISHED_STATUSES } },
             include: { job: true, printer: true },
-            orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }],
+            orderBy: queueEngine.QUEUE_ORDER,
         });
         res.json(items);
     } catch (err) {
@@ -18,11 +45,60 @@ router.get('/', authenticate, async (req, res) => {
     }
 });
 
+// GET /api/queue/schedule — Projected timeline: running and queued jobs per printer with
+// start/end times, jobs that cannot be placed, and when each order will be done
+router.get('/schedule', authenticate, async (req, res) => {
+    try {
+        const schedule = await scheduleService.simulate(prisma);
+
+        const printers = schedule.lanes.map(l => ({
+            id: l.printer.id, name: l.printer.name, model: l.printer.model, group: l.printer.group,
+            acceptsWork: l.acceptsWork, freeAt: l.freeAt, jobs: l.entries,
+        }));
+        const unscheduled = schedule.unscheduled.map(u => ({
+            queueItemId: u.queueItemId, jobId: u.job.id, jobCode: u.job.jobCode, name: u.job.name,
+            orderId: u.job.orderId || null, dueAt: u.job.dueAt || null, reason: u.reason,
+        }));
+
+        // An order is done when its last job is — unknown while any of its jobs cannot be placed
+        const orders = new Map();
+        const orderFor = (id) => {
+            if (!orders.has(id)) orders.set(id, { orderId: id, jobs: 0, projectedEndAt: null, late: false, unscheduledJobs: 0 });
+            return orders.get(id);
+        };
+        for (const e of printers.flatMap(p => p.jobs).filter(e => e.orderId)) {
+            const o = orderFor(e.orderId);
+            o.jobs++;
+            if (!o.projectedEndAt || e.endAt > o.projectedEndAt) o.projectedEndAt = e.endAt;
+            o.late = o.late || e.late;
+        }
+        for (const u of unscheduled.filter(u => u.orderId)) orderFor(u.orderId).unscheduledJobs++;
+
+        res.json({
+            generatedAt: schedule.generatedAt,
+            halted: schedule.halted,
+            printers,
+            unscheduled,
+            orders: [...orders.values()].map(o => ({ ...o, projectedEndAt: o.unscheduledJobs ? null : o.projectedEndAt })),
+        });
+    } catch (err) {
+        console.error('[QUEUE] Schedule error:', err);
+        res.status(500).json({ error: 'Failed to project schedule' });
+    }
+});
+
 // POST /api/queue — Add job to queue manually
 router.post('/', authenticate, requireRole('owner', 'operator'), async (req, res) => {
     try {
-        const { name, material, weightGrams, estimatedTime, priority, orderId } = req.body;
+        const { name, material, weightGrams, estimatedTime, priority, orderId, sizeX, sizeY, sizeZ, nozzleDiameter, maxDeferMin, dueAt } = req.body;
         if (!name) return res.status(400).json({ error: 'Job name required' });
+        const flexibility = parseFlexibility({ maxDeferMin, dueAt });
+        if (flexibility.error) return res.status(400).json({ error: flexibility.error });
+        // Jobs of an order are due when the order ships unless given their own date
+        if (dueAt === undefined && orderId) {
+            const order = await prisma.order.findUnique({ where: { id: +orderId }, select: { dueAt: true } });
+            if (order?.dueAt) flexibility.data.dueAt = order.dueAt;
+        }
 
         const jobCode = `JOB-${Date.now().toString().slice(-6)}`;
         const priorityMap = { high: 1, medium: 5, low: 10 };
@@ -36,6 +112,11 @@ router.post('/', authenticate, requireRole('owner', 'operator'), async (req, res
                 estimatedTime: estimatedTime || 0,
                 priority: priority || 'medium',
                 orderId: orderId || null,
+                sizeX: sizeX || null,
+                sizeY: sizeY || null,
+                sizeZ: sizeZ || null,
+                nozzleDiameter: nozzleDiameter || null,
+                ...flexibility.data,
             },
         });
 
@@ -58,67 +139,95 @@ router.post('/', authenticate, requireRole('owner', 'operator'), async (req, res
 });
 
 // PUT /api/queue/:id/assign — Assign job to printer (with energy check)
+// Responds with the queue item plus `energy`: the projected load and headroom behind the decision
 router.put('/:id/assign', authenticate, requireRole('owner', 'operator'), async (req, res) => {
     try {
         const { printerId } = req.body;
         const queueItemId = +req.params.id;
 
-        // Check energy limits before assigning
-        const energySettings = await prisma.energySettings.findUnique({ where: { id: 1 } });
-        const latestEnergy = await prisma.energyReading.findFirst({ orderBy: { recordedAt: 'desc' } });
-
-        if (energySettings?.peakProtection && latestEnergy) {
-            const threshold = energySettings.maxLoadKw * 0.9;
-            if (latestEnergy.currentKw >= threshold) {
-                await prisma.powerEvent.create({
-                    data: {
-                        type: 'OVERLOAD_PREVENTED', currentKw: latestEnergy.currentKw,
-                        limitKw: energySettings.maxLoadKw, action: `Job assignment blocked`
-                    }
-                });
-                return res.status(409).json({
-                    error: 'PEAK PROTECTION ACTIVE: Energy load too high to start new job',
-                    currentKw: latestEnergy.currentKw,
-                    maxKw: energySettings.maxLoadKw,
-                });
-            }
+        const halt = await farmControlService.getHalt(prisma);
+        if (halt.isHalted) {
+            return res.status(409).json({ error: `FARM HALTED: ${halt.reason || 'emergency stop'} — resume the farm first` });
         }
 
         const printer = await prisma.printer.findUnique({ where: { id: +printerId } });
         if (!printer) return res.status(404).json({ error: 'Printer not found' });
 
+        const item = await prisma.queueItem.findUnique({ where: { id: queueItemId }, include: { job: { include: { gcodeFile: true } } } });
+        if (!item) return res.status(404).json({ error: 'Queue item not found' });
+        // A scheduled item may be started now, on its reserved printer or another one
+        if (!['queued', 'blocked', 'scheduled'].includes(item.status)) {
+            return res.status(409).json({ error: `Queue item is already ${item.status}` });
+        }
+
+        // Check the printer can actually run the job
+        const reasons = capabilityService.incompatibilities(item.job, printer);
+        if (reasons.length) {
+            return res.status(409).json({ error: `Printer "${printer.name}" cannot run this job: ${reasons.join('; ')}`, reasons });
+        }
+
         // Check printer is idle
         const printerTelemetry = await prisma.printerTelemetry.findFirst({
             where: { printerId: +printerId }, orderBy: { recordedAt: 'desc' },
         });
-        if (printerTelemetry?.status === 'printing') {
+        const busy = await jobLifecycleService.busyPrinterIds(prisma);
+        if (printerTelemetry?.status === 'printing' || busy.has(printer.id)) {
             return res.status(409).json({ error: 'Printer is currently busy' });
         }
+        const reserved = await queueEngine.reservedPrinterIds(prisma, queueItemId);
+        if (reserved.has(printer.id)) {
+            return res.status(409).json({ error: 'Printer is reserved for a scheduled start' });
+        }
+
+        // Check the job's heat-up peak fits under the farm's energy limit
+        const energySettings = await prisma.energySettings.findUnique({ where: { id: 1 } });
+        const profile = await energyBudgetService.powerProfile(prisma, printer);
+        const snapshot = await energyBudgetService.snapshot(prisma, energySettings);
+        const energy = energyBudgetService.evaluate(snapshot, printer, profile);
+
+        if (energySettings?.peakProtection && !energy.fits) {
+            await prisma.powerEvent.create({
+                data: {
+                    type: 'OVERLOAD_PREVENTED', currentKw: energy.projectedKw,
+                    limitKw: energy.limitKw, action: `Job assignment blocked (${item.job.jobCode} on ${printer.name})`
+                }
+            });
+            return res.status(409).json({
+                error: 'PEAK PROTECTION ACTIVE: Projected load would exceed the energy limit',
+                energy,
+            });
+        }
 
         // Assign job
         const updated = await prisma.queueItem.update({
             where: { id: queueItemId },
-            data: { printerId: +printerId, status: 'assigned' },
+            data: { printerId: +printerId, status: 'assigned', blockReason: null, scheduledStartAt: new Date() },
             include: { job: true, printer: true },
         });
 
         // Update job
-        await prisma.job.update({
+        const job = await prisma.job.update({
             where: { id: updated.jobId },
-            data: { printerId: +printerId, status: 'printing', startedAt: new Date() },
+            data: {
+                printerId: +printerId, status: 'printing', startedAt: new Date(), ...jobLifecycleService.FRESH_RUN,
+                projectedPeakKw: profile.peakKw, projectedSteadyKw: profile.steadyKw,
+            },
         });
 
+        // Upload the job's G-code and start it on the printer (background)
+        queueEngine.dispatchJob(job, printer).catch(err => console.error('[QUEUE] Dispatch error:', err.message));
+
         await prisma.auditLog.create({
             data: {
                 userId: req.user.id, action: 'JOB_ASSIGNED', entity: 'QueueItem',
-                entityId: String(queueItemId), details: JSON.stringify({ printerId })
+                entityId: String(queueItemId), details: JSON.stringify({ printerId, projectedKw: energy.projectedKw, headroomKw: energy.headroomKw })
             }
         });
 
         const io = req.app.get('io');
         io.emit('queue:updated', { type: 'JOB_ASSIGNED', item: updated });
 
-        res.json(updated);
+        res.json({ ...updated, energy });
     } catch (err) {
         console.error('[QUEUE] Assign error:', err);
         res.status(500).json({ error: 'Failed to assign job' });
@@ -143,14 +252,43 @@ router.put('/:id/priority', authenticate, requireRole('owner'), async (req, res)
     }
 });
 
+// PUT /api/queue/:id/flexibility — How long the job may wait for cheaper energy { maxDeferMin?, dueAt? }
+router.put('/:id/flexibility', authenticate, requireRole('owner', 'operator'), async (req, res) => {
+    try {
+        const flexibility = parseFlexibility(req.body);
+        if (flexibility.error) return res.status(400).json({ error: flexibility.error });
+
+        const item = await prisma.queueItem.findUnique({ where: { id: +req.params.id } });
+        if (!item) return res.status(404).json({ error: 'Queue item not found' });
+
+        await prisma.job.update({ where: { id: item.jobId }, data: flexibility.data });
+        // A running hold is planned again with the new limits
+        const updated = await prisma.queueItem.update({
+            where: { id: item.id },
+            data: item.status === 'queued' ? { deferredUntil: null, deferSavings: null } : {},
+            include: { job: true },
+        });
+
+        const io = req.app.get('io');
+        io.emit('queue:updated', { type: 'FLEXIBILITY_CHANGED', item: updated });
+        res.json(updated);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to update flexibility' });
+    }
+});
+
 // DELETE /api/queue/:id — Remove from queue
 router.delete('/:id', authenticate, requireRole('owner'), async (req, res) => {
     try {
         const item = await prisma.queueItem.findUnique({ where: { id: +req.params.id } });
         if (!item) return res.status(404).json({ error: 'Queue item not found' });
 
+        // Cancel through the lifecycle so a running job still books its print hours
+        const job = await prisma.job.findUnique({ where: { id: item.jobId } });
+        if (job && !jobLifecycleService.END_STATUSES.includes(job.status)) {
+            await jobLifecycleService.transition(prisma, job, 'cancelled');
+        }
         await prisma.queueItem.delete({ where: { id: +req.params.id } });
-        await prisma.job.update({ where: { id: item.jobId }, data: { status: 'cancelled' } });
 
         const io = req.app.get('io');
         io.emit('queue:updated', { type: 'JOB_REMOVED', itemId: +req.params.id });
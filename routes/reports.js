@@ -0,0 +1,34 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requireRole } = require('../middleware/auth');
+const utilizationReport = require('../services/utilizationReport');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// GET /api/reports/utilization — OEE per printer, model, material and fleet
+// ?from&to (default: last 7 days) [&format=csv]
+router.get('/utilization', authenticate, requireRole('owner'), async (req, res) => {
+    try {
+        const toDate = req.query.to ? new Date(req.query.to) : new Date();
+        const fromDate = req.query.from ? new Date(req.query.from) : new Date(toDate.getTime() - 7 * 24 * 60 * 60 * 1000);
+        if (isNaN(fromDate) || isNaN(toDate) || fromDate >= toDate) {
+            return res.status(400).json({ error: 'from/to must be valid dates with from < to' });
+        }
+
+        const report = await utilizationReport.buildReport(prisma, fromDate, toDate);
+
+        if (req.query.format === 'csv') {
+            const day = (d) => d.toISOString().slice(0, 10);
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename=utilization-${day(fromDate)}-${day(toDate)}.csv`);
+            return res.send(utilizationReport.toCsv(report));
+        }
+        res.json(report);
+    } catch (err) {
+        console.error('[REPORTS] Utilization error:', err);
+        res.status(500).json({ error: 'Failed to build utilization report' });
+    }
+});
+
+module.exports = router;
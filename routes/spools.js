@@ -0,0 +1,227 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requireRole } = require('../middleware/auth');
+const spoolService = require('../services/spoolService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+async function audit(req, action, spoolId, details) {
+    await prisma.auditLog.create({
+        data: {
+            userId: req.user.id, action, entity: 'Spool', entityId: String(spoolId),
+            details: details ? JSON.stringify(details) : null,
+        },
+    });
+}
+
+// Weight from a request body: a number (or numeric string) >= 0
+const isGrams = (value) => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== ''))
+    && Number.isFinite(+value) && +value >= 0;
+
+// GET /api/spools — Inventory (?material=&status=&printerId=); archived hidden unless asked for
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const { material, status, printerId } = req.query;
+        const spools = await prisma.spool.findMany({
+            where: {
+                ...(material && { material }),
+                ...(status ? { status } : { status: { not: 'archived' } }),
+                ...(printerId && { printerId: +printerId }),
+            },
+            include: { printer: { select: { id: true, name: true } } },
+            orderBy: [{ material: 'asc' }, { remainingGrams: 'asc' }],
+        });
+        res.json(spools);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load spools' });
+    }
+});
+
+// GET /api/spools/stock — Remaining grams per material vs. the low-stock threshold
+router.get('/stock', authenticate, async (req, res) => {
+    try {
+        const settings = await spoolService.getSettings(prisma);
+        const groups = await prisma.spool.groupBy({
+            by: ['material'],
+            where: { status: { in: ['in_stock', 'loaded'] } },
+            _sum: { remainingGrams: true },
+            _count: { _all: true },
+        });
+        res.json(groups.map(g => ({
+            material: g.material,
+            spools: g._count._all,
+            remainingGrams: Math.round(g._sum.remainingGrams || 0),
+            low: (g._sum.remainingGrams || 0) < settings.stockLowGrams,
+        })));
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load filament stock' });
+    }
+});
+
+// GET /api/spools/settings
+router.get('/settings', authenticate, async (req, res) => {
+    try {
+        res.json(await spoolService.getSettings(prisma));
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load filament settings' });
+    }
+});
+
+// PUT /api/spools/settings
+router.put('/settings', authenticate, requireRole('owner'), async (req, res) => {
+    try {
+        const { spoolLowGrams, stockLowGrams } = req.body;
+        if (spoolLowGrams !== undefined && !isGrams(spoolLowGrams)) {
+            return res.status(400).json({ error: 'spoolLowGrams must be a number >= 0' });
+        }
+        if (stockLowGrams !== undefined && !isGrams(stockLowGrams)) {
+            return res.status(400).json({ error: 'stockLowGrams must be a number >= 0' });
+        }
+        await spoolService.getSettings(prisma);
+        const settings = await prisma.filamentSettings.update({
+            where: { id: 1 },
+            data: {
+                ...(spoolLowGrams !== undefined && { spoolLowGrams: +spoolLowGrams }),
+                ...(stockLowGrams !== undefined && { stockLowGrams: +stockLowGrams }),
+            },
+        });
+        res.json(settings);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to update filament settings' });
+    }
+});
+
+// POST /api/spools — Add spool to inventory
+router.post('/', authenticate, requireRole('owner', 'operator'), async (req, res) => {
+    try {
+        const { material, color, brand, lot, initialGrams, remainingGrams } = req.body;
+        if (!material) return res.status(400).json({ error: 'material required' });
+        if (remainingGrams !== undefined && !isGrams(remainingGrams)) {
+            return res.status(400).json({ error: 'remainingGrams must be a number >= 0' });
+        }
+
+        const initial = initialGrams !== undefined ? +initialGrams : 1000;
+        if (!(initial > 0)) return res.status(400).json({ error: 'initialGrams must be positive' });
+
+        const spool = await prisma.spool.create({
+            data: {
+                material, color, brand, lot,
+                initialGrams: initial,
+                remainingGrams: remainingGrams !== undefined ? +remainingGrams : initial,
+            },
+        });
+        await audit(req, 'SPOOL_CREATED', spool.id, { material, color, brand, lot, initialGrams: initial });
+        res.status(201).json(spool);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to create spool' });
+    }
+});
+
+// PUT /api/spools/:id — Edit details or correct remaining weight (e.g. after weighing)
+router.put('/:id', authenticate, requireRole('owner', 'operator'), async (req, res) => {
+    try {
+        const existing = await prisma.spool.findUnique({ where: { id: +req.params.id } });
+        if (!existing) return res.status(404).json({ error: 'Spool not found' });
+
+        const { material, color, brand, lot, initialGrams, remainingGrams, status } = req.body;
+        if (status !== undefined && !['in_stock', 'empty', 'archived'].includes(status)) {
+            return res.status(400).json({ error: 'status must be in_stock, empty or archived (use /load to load a spool)' });
+        }
+        if (remainingGrams !== undefined && !isGrams(remainingGrams)) {
+            return res.status(400).json({ error: 'remainingGrams must be a number >= 0' });
+        }
+        if (initialGrams !== undefined && !(isGrams(initialGrams) && +initialGrams > 0)) {
+            return res.status(400).json({ error: 'initialGrams must be positive' });
+        }
+
+        const spool = await prisma.spool.update({
+            where: { id: existing.id },
+            data: {
+                ...(material !== undefined && { material }),
+                ...(color !== undefined && { color }),
+                ...(brand !== undefined && { brand }),
+                ...(lot !== undefined && { lot }),
+                ...(initialGrams !== undefined && { initialGrams: +initialGrams }),
+                ...(remainingGrams !== undefined && { remainingGrams: +remainingGrams }),
+                // Taking a loaded spool out of service also unloads it
+                ...(status !== undefined && { status, printerId: null, loadedAt: null }),
+            },
+        });
+        if (remainingGrams !== undefined) await spoolService.checkLowStock(prisma, spool, existing.remainingGrams);
+
+        await audit(req, 'SPOOL_UPDATED', spool.id, req.body);
+        res.json(spool);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to update spool' });
+    }
+});
+
+// POST /api/spools/:id/load — Load onto a printer ({ printerId }); any spool already on it is unloaded
+router.post('/:id/load', authenticate, requireRole('owner', 'operator'), async (req, res) => {
+    try {
+        const printerId = +req.body.printerId;
+        const [spool, printer] = await Promise.all([
+            prisma.spool.findUnique({ where: { id: +req.params.id } }),
+            printerId ? prisma.printer.findUnique({ where: { id: printerId } }) : null,
+        ]);
+        if (!spool) return res.status(404).json({ error: 'Spool not found' });
+        if (!printer) return res.status(404).json({ error: 'Printer not found' });
+        if (['empty', 'archived'].includes(spool.status)) {
+            return res.status(409).json({ error: `Spool is ${spool.status}` });
+        }
+
+        const [, loaded] = await prisma.$transaction([
+            prisma.spool.updateMany({
+                where: { printerId, status: 'loaded', id: { not: spool.id } },
+                data: { status: 'in_stock', printerId: null, loadedAt: null },
+            }),
+            prisma.spool.update({
+                where: { id: spool.id },
+                data: { status: 'loaded', printerId, loadedAt: new Date() },
+            }),
+        ]);
+
+        await audit(req, 'SPOOL_LOADED', spool.id, { printerId, printer: printer.name });
+        req.app.get('io').emit('spool:updated', { spoolId: spool.id, printerId, status: 'loaded' });
+        res.json(loaded);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load spool' });
+    }
+});
+
+// POST /api/spools/:id/unload — Back to stock
+router.post('/:id/unload', authenticate, requireRole('owner', 'operator'), async (req, res) => {
+    try {
+        const existing = await prisma.spool.findUnique({ where: { id: +req.params.id } });
+        if (!existing) return res.status(404).json({ error: 'Spool not found' });
+        if (existing.status !== 'loaded') return res.status(409).json({ error: 'Spool is not loaded' });
+
+        const spool = await prisma.spool.update({
+            where: { id: existing.id },
+            data: { status: existing.remainingGrams > 0 ? 'in_stock' : 'empty', printerId: null, loadedAt: null },
+        });
+
+        await audit(req, 'SPOOL_UNLOADED', spool.id, { printerId: existing.printerId });
+        req.app.get('io').emit('spool:updated', { spoolId: spool.id, printerId: existing.printerId, status: spool.status });
+        res.json(spool);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to unload spool' });
+    }
+});
+
+// DELETE /api/spools/:id — Archive (jobs keep their spool reference)
+router.delete('/:id', authenticate, requireRole('owner'), async (req, res) => {
+    try {
+        await prisma.spool.update({
+            where: { id: +req.params.id },
+            data: { status: 'archived', printerId: null, loadedAt: null },
+        });
+        await audit(req, 'SPOOL_ARCHIVED', req.params.id);
+        res.json({ message: 'Spool archived' });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to archive spool' });
+    }
+});
+
+module.exports = router;
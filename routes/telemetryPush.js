@@ -0,0 +1,47 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { PrismaClient } = require('@prisma/client');
+const telemetryService = require('../services/telemetryService');
+const telemetryPushService = require('../services/telemetryPushService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Agents behind one NAT share an IP — limit per printer instead of per address
+const pushLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 120,
+    keyGenerator: (req) => `printer:${req.params.printerId}`,
+    message: { error: 'Too many telemetry pushes for this printer' },
+});
+
+// POST /api/telemetry/push/:printerId — Signed telemetry from a push-mode printer's edge agent
+// Authenticated by HMAC signature, not by user token (see services/telemetryPushService.js)
+router.post('/:printerId', pushLimiter, express.raw({ type: '*/*', limit: '64kb' }), async (req, res) => {
+    try {
+        const printer = await prisma.printer.findUnique({ where: { id: +req.params.printerId || 0 } });
+        // Same answer for unknown, inactive and poll-mode printers
+        if (!printer || !printer.isActive || printer.telemetryMode !== 'push' || !printer.pushSecret) {
+            return res.status(401).json({ error: 'Printer not accepting pushed telemetry' });
+        }
+
+        const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+        const error = telemetryPushService.verify(printer, req.headers, rawBody);
+        if (error) return res.status(401).json({ error });
+
+        let parsed;
+        try {
+            parsed = telemetryPushService.parseReading(JSON.parse(rawBody));
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
+        await telemetryService.ingestPush(printer, parsed.reading, parsed.reason);
+        res.status(202).json({ accepted: true });
+    } catch (err) {
+        console.error('[TELEMETRY] Push error:', err);
+        res.status(500).json({ error: 'Failed to ingest telemetry' });
+    }
+});
+
+module.exports = router;
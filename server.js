@@ -37,6 +37,8 @@ app.use(cors({
   ],
   credentials: true,
 }));
+// Signed printer push telemetry — needs the raw body for HMAC and has its own per-printer limit
+app.use('/api/telemetry/push', require('./routes/telemetryPush'));
 app.use(express.json({ limit: '10mb' }));
 app.use(morgan('dev'));
 
@@ -70,6 +72,12 @@ app.use('/api/labels', require('./routes/labels'));
 app.use('/api/alerts', require('./routes/alerts'));
 app.use('/api/backup', require('./routes/backup'));
 app.use('/api/security', require('./routes/security'));
+app.use('/api/spools', require('./routes/spools'));
+app.use('/api/maintenance', require('./routes/maintenance'));
+app.use('/api/discovery', require('./routes/discovery'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/farm', require('./routes/farm'));
+app.use('/api/incidents', require('./routes/incidents'));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -103,11 +111,27 @@ const telemetryService = require('./services/telemetryService');
 const energyEngine = require('./services/energyEngine');
 const marketplacePoller = require('./services/marketplacePoller');
 const queueEngine = require('./services/queueEngine');
-
+const telemetryRollup = require('./services/telemetryRollup');
+const alertService = require('./services/alertService');
+const maintenanceService = require('./services/maintenanceService');
+const discoveryService = require('./services/discoveryService');
+const timelapseService = require('./services/timelapseService');
+const incidentService = require('./services/incidentService');
+const jobLifecycleService = require('./services/jobLifecycleService');
+const deadlineService = require('./services/deadlineService');
+
+alertService.init(prisma);
 telemetryService.start(prisma, io);
 energyEngine.start(prisma, io);
 marketplacePoller.start(prisma, io);
 queueEngine.start(prisma);
+telemetryRollup.start(prisma);
+maintenanceService.start(prisma, io);
+discoveryService.start(prisma, io);
+timelapseService.start(prisma);
+incidentService.start(prisma, io);
+jobLifecycleService.start(prisma);
+deadlineService.start(prisma, io);
 
 // ─── 404 Handler ─────────────────────────────────────────────
 app.use((req, res) => {
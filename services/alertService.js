@@ -103,6 +103,16 @@ async function triggerAlert(triggerType, context = {}) {
             where: { trigger: triggerType, isEnabled: true },
         });
 
+        // Smoke stops the farm before any message goes out — delivery can take seconds
+        if (triggerType === 'SMOKE' && rules.some(r => r.autoEmergencyStop)) {
+            // Required lazily — farm control reaches back here through the telemetry services
+            const farmControlService = require('./farmControlService');
+            farmControlService.emergencyStop(prismaClient, {
+                reason: context.message || 'Smoke detected',
+                source: 'SMOKE',
+            }).catch(err => console.error('[ALERTS] Automatic emergency stop failed:', err.message));
+        }
+
         for (const rule of rules) {
             const msgParts = [
                 `🔔 <b>BLACK CORE ALERT</b>`,
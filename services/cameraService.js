@@ -0,0 +1,61 @@
+/**
+ * Camera Service
+ * Resolves a printer's webcam URLs and fetches snapshots / MJPEG streams.
+ * Moonraker (crowsnest) and OctoPrint (mjpg-streamer) hosts serve the camera
+ * under /webcam/ on the web UI port unless the printer has its own URLs set.
+ */
+const axios = require('axios');
+const { errorMessage } = require('./drivers/common');
+
+const SNAPSHOT_TIMEOUT_MS = 5000;
+const STREAM_CONNECT_TIMEOUT_MS = 5000;
+const DEFAULT_WEBCAM_DRIVERS = ['moonraker', 'octoprint'];
+
+function cameraUrls(printer) {
+    const base = DEFAULT_WEBCAM_DRIVERS.includes(printer.driver) ? `http://${printer.ipAddress}/webcam/` : null;
+    return {
+        snapshot: printer.cameraUrl || (base && `${base}?action=snapshot`),
+        stream: printer.streamUrl || (base && `${base}?action=stream`),
+    };
+}
+
+/**
+ * Single JPEG frame → { data: Buffer, contentType }
+ */
+async function fetchSnapshot(printer) {
+    const url = cameraUrls(printer).snapshot;
+    if (!url) throw new Error('No camera configured for this printer');
+    try {
+        const response = await axios.get(url, { responseType: 'arraybuffer', timeout: SNAPSHOT_TIMEOUT_MS });
+        const contentType = response.headers['content-type'] || 'image/jpeg';
+        if (!contentType.startsWith('image/')) throw new Error(`Camera returned ${contentType}, not an image`);
+        return { data: Buffer.from(response.data), contentType };
+    } catch (err) {
+        throw new Error(errorMessage(err));
+    }
+}
+
+/**
+ * Open the MJPEG stream → { stream, contentType }. Call abort() when the client goes away.
+ */
+async function openStream(printer) {
+    const url = cameraUrls(printer).stream;
+    if (!url) throw new Error('No camera configured for this printer');
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), STREAM_CONNECT_TIMEOUT_MS);
+    try {
+        const response = await axios.get(url, { responseType: 'stream', signal: controller.signal });
+        return {
+            stream: response.data,
+            contentType: response.headers['content-type'] || 'multipart/x-mixed-replace',
+            abort: () => controller.abort(),
+        };
+    } catch (err) {
+        throw new Error(controller.signal.aborted ? 'Camera stream did not answer' : errorMessage(err));
+    } finally {
+        clearTimeout(timer); // only guards the connect — the stream itself runs until aborted
+    }
+}
+
+module.exports = { cameraUrls, fetchSnapshot, openStream };
@@ -0,0 +1,80 @@
+/**
+ * Capability Matching
+ * Decides whether a job can run on a printer: material support (including the
+ * temperatures and enclosure the material needs), required nozzle, whether
+ * the part's bounding box fits the build volume (XY may be rotated 90°), and —
+ * for jobs with uploaded G-code — whether the printer's driver can receive files.
+ * Callers that check a job with G-code must load it with `include: { gcodeFile: true }`.
+ */
+const drivers = require('./drivers');
+
+// Typical print temperatures — a printer whose limits are below these cannot run the material
+const MATERIAL_PROFILES = {
+    PLA: { extruder: 215, bed: 60 },
+    PETG: { extruder: 245, bed: 85 },
+    TPU: { extruder: 230, bed: 50 },
+    ABS: { extruder: 250, bed: 100, enclosure: true },
+    ASA: { extruder: 255, bed: 100, enclosure: true },
+    PA: { extruder: 270, bed: 90, enclosure: true },
+    PC: { extruder: 280, bed: 110, enclosure: true },
+};
+
+const NOZZLE_TOLERANCE_MM = 0.01;
+
+function parseMaterials(materials) {
+    return (materials || '').split(',').map(m => m.trim().toUpperCase()).filter(Boolean);
+}
+
+function fitsBuildVolume(job, printer) {
+    const { sizeX: x, sizeY: y, sizeZ: z } = job;
+    if (z && z > printer.buildZ) return false;
+    if (!x && !y) return true;
+    const fits = (a, b) => (!a || a <= printer.buildX) && (!b || b <= printer.buildY);
+    return fits(x, y) || fits(y, x);
+}
+
+/**
+ * Reasons the job cannot run on the printer — empty when compatible.
+ */
+function incompatibilities(job, printer) {
+    const reasons = [];
+    const material = (job.material || '').toUpperCase();
+
+    if (material && !parseMaterials(printer.materials).includes(material)) {
+        reasons.push(`${printer.name} is not set up for ${material} (supports ${printer.materials || 'nothing'})`);
+    }
+
+    const profile = MATERIAL_PROFILES[material];
+    if (profile) {
+        if (profile.extruder > printer.maxTempExtruder) {
+            reasons.push(`${material} needs ~${profile.extruder}°C nozzle, ${printer.name} is limited to ${printer.maxTempExtruder}°C`);
+        }
+        if (profile.bed > printer.maxTempBed) {
+            reasons.push(`${material} needs ~${profile.bed}°C bed, ${printer.name} is limited to ${printer.maxTempBed}°C`);
+        }
+        if (profile.enclosure && !printer.hasEnclosure) {
+            reasons.push(`${material} needs an enclosed printer`);
+        }
+    }
+
+    if (job.nozzleDiameter && Math.abs(job.nozzleDiameter - printer.nozzleDiameter) > NOZZLE_TOLERANCE_MM) {
+        reasons.push(`Job needs a ${job.nozzleDiameter} mm nozzle, ${printer.name} has ${printer.nozzleDiameter} mm`);
+    }
+
+    if (!fitsBuildVolume(job, printer)) {
+        const size = [job.sizeX, job.sizeY, job.sizeZ].map(v => v ?? '?').join('×');
+        reasons.push(`Part ${size} mm does not fit build volume ${printer.buildX}×${printer.buildY}×${printer.buildZ} mm`);
+    }
+
+    if (job.gcodeFile && !drivers.getDriver(printer.driver)?.uploadFile) {
+        reasons.push(`${printer.name} (${printer.driver}) cannot receive G-code uploads`);
+    }
+
+    return reasons;
+}
+
+function isCompatible(job, printer) {
+    return incompatibilities(job, printer).length === 0;
+}
+
+module.exports = { incompatibilities, isCompatible, parseMaterials, MATERIAL_PROFILES };
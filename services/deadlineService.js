@@ -0,0 +1,88 @@
+/**
+ * Deadline Watch
+ * Every minute the schedule is projected forward (scheduleService) and each running
+ * or queued job gets its projectedEndAt. A job with a dueAt that is projected to end
+ * after it — or cannot be scheduled at all and is close to its latest start — is
+ * flagged at risk once (lateRiskAt, socket job:lateRisk, JOB_LATE_RISK alert) and
+ * cleared once it is projected to finish clearly before its due date again.
+ */
+const cron = require('node-cron');
+const scheduleService = require('./scheduleService');
+const alertService = require('./alertService');
+
+let prismaClient = null;
+let ioClient = null;
+let sweeping = false;
+
+const PROJECTION_TOLERANCE_MS = 60 * 1000; // smaller moves are not written, nor clear a flag
+const UNSCHEDULED_LEAD_MS = (+process.env.DEADLINE_LEAD_MIN || 60) * 60 * 1000; // unschedulable jobs this close to their latest start
+
+function emit(payload) {
+    if (ioClient) ioClient.emit('job:lateRisk', payload);
+}
+
+async function flag(job, projectedEndAt, printerName, reason) {
+    const now = new Date();
+    await prismaClient.job.update({ where: { id: job.id }, data: { lateRiskAt: now } });
+
+    const message = reason
+        ? `${job.jobCode} is due ${job.dueAt.toISOString()} — ${reason}`
+        : `${job.jobCode} is projected to finish ${projectedEndAt.toISOString()}, after its due date ${job.dueAt.toISOString()}`;
+    emit({ atRisk: true, jobId: job.id, jobCode: job.jobCode, dueAt: job.dueAt, projectedEndAt, message });
+    await alertService.triggerAlert('JOB_LATE_RISK', { jobName: job.name, printer: printerName, message });
+    console.log(`[DEADLINES] At risk: ${message}`);
+}
+
+async function clear(job, projectedEndAt) {
+    await prismaClient.job.update({ where: { id: job.id }, data: { lateRiskAt: null } });
+    emit({ atRisk: false, jobId: job.id, jobCode: job.jobCode, dueAt: job.dueAt, projectedEndAt });
+}
+
+async function sweep() {
+    if (!prismaClient || sweeping) return;
+    sweeping = true;
+    try {
+        const schedule = await scheduleService.simulate(prismaClient);
+        const jobs = await prismaClient.job.findMany({
+            where: { id: { in: schedule.lanes.flatMap(l => l.entries.map(e => e.jobId)).concat(schedule.unscheduled.map(u => u.job.id)) } },
+            select: { id: true, jobCode: true, name: true, dueAt: true, estimatedTime: true, projectedEndAt: true, lateRiskAt: true },
+        });
+        const byId = new Map(jobs.map(j => [j.id, j]));
+
+        for (const lane of schedule.lanes) {
+            for (const e of lane.entries) {
+                const job = byId.get(e.jobId);
+                if (!job) continue;
+                if (!job.projectedEndAt || Math.abs(job.projectedEndAt - e.endAt) >= PROJECTION_TOLERANCE_MS) {
+                    await prismaClient.job.update({ where: { id: job.id }, data: { projectedEndAt: e.endAt } });
+                }
+                // Hysteresis — a projection hovering around the due date must not flap
+                const onTrack = !job.dueAt || e.endAt <= job.dueAt.getTime() - PROJECTION_TOLERANCE_MS;
+                if (e.late && !job.lateRiskAt) await flag(job, e.endAt, lane.printer.name);
+                else if (onTrack && job.lateRiskAt) await clear(job, e.endAt);
+            }
+        }
+        for (const { job: { id }, reason } of schedule.unscheduled) {
+            const job = byId.get(id);
+            if (job?.projectedEndAt) await prismaClient.job.update({ where: { id }, data: { projectedEndAt: null } });
+            if (!job?.dueAt || job.lateRiskAt) continue;
+            // Blocked or unplaceable for now — only at risk once the latest start comes near
+            const latestStart = job.dueAt.getTime() - (job.estimatedTime || 0) * 60 * 1000;
+            if (latestStart - UNSCHEDULED_LEAD_MS <= Date.now()) await flag(job, null, null, reason.toLowerCase());
+        }
+    } catch (err) {
+        console.error('[DEADLINES] Sweep error:', err.message);
+    } finally {
+        sweeping = false;
+    }
+}
+
+function start(prisma, io) {
+    prismaClient = prisma;
+    ioClient = io;
+    console.log('[DEADLINES] Projecting job completion every minute');
+    cron.schedule('0 * * * * *', sweep);
+    setTimeout(sweep, 10000);
+}
+
+module.exports = { start, sweep };
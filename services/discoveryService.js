@@ -0,0 +1,298 @@
+/**
+ * Printer Discovery
+ * Finds Moonraker, OctoPrint and PrusaLink instances on the farm LAN by scanning
+ * the configured subnets (DISCOVERY_SUBNETS) and listening for mDNS announcements.
+ * Results are kept in DiscoveredPrinter and matched against registered printers —
+ * by address first, then by hostname to spot printers whose IP has changed.
+ */
+const net = require('net');
+const axios = require('axios');
+const { Bonjour } = require('bonjour-service');
+const drivers = require('./drivers');
+
+let prismaClient = null;
+let ioClient = null;
+let intervalId = null;
+let running = null;   // promise of the scan in progress
+let lastScan = null;  // { startedAt, finishedAt, hostsScanned, found, error }
+
+const SCAN_PORTS = [80, 7125, 5000]; // web UI proxy, Moonraker default, OctoPrint without proxy
+const CONNECT_TIMEOUT_MS = 600;
+const HTTP_TIMEOUT_MS = 2000;
+const PORT_CONCURRENCY = 64;
+const PROBE_CONCURRENCY = 8;
+const MAX_HOSTS = 4096;
+const MDNS_TYPES = ['moonraker', 'octoprint', 'http'];
+const MDNS_LISTEN_MS = (+process.env.DISCOVERY_MDNS_SECONDS || 5) * 1000;
+const STALE_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+// ─── Address ranges ───────────────────────────────────────────
+function ipToInt(ip) {
+    const parts = ip.trim().split('.').map(Number);
+    if (parts.length !== 4 || parts.some(p => !Number.isInteger(p) || p < 0 || p > 255)) {
+        throw new Error(`Invalid IP address: ${ip}`);
+    }
+    return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+}
+
+function intToIp(n) {
+    return [n >>> 24, (n >> 16) & 255, (n >> 8) & 255, n & 255].join('.');
+}
+
+// "192.168.1.0/24" | "192.168.1.10-192.168.1.60" | "192.168.1.10-60" | "192.168.1.7"
+function parseRange(spec) {
+    if (spec.includes('/')) {
+        const [base, bits] = spec.split('/');
+        const prefix = +bits;
+        if (!Number.isInteger(prefix) || prefix < 0 || prefix > 32) throw new Error(`Invalid subnet: ${spec}`);
+        const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+        const start = (ipToInt(base) & mask) >>> 0;
+        const end = (start | (~mask >>> 0)) >>> 0;
+        // Skip network and broadcast addresses
+        return prefix <= 30 ? [start + 1, end - 1] : [start, end];
+    }
+    if (spec.includes('-')) {
+        const [from, to] = spec.split('-');
+        const start = ipToInt(from);
+        // Shorthand end is the last octet — 192.168.1.10-300 must not run into 192.168.2.x
+        if (!to.includes('.') && !(/^\d+$/.test(to) && +to <= 255)) throw new Error(`Invalid range: ${spec}`);
+        const end = to.includes('.') ? ipToInt(to) : ((start & 0xffffff00) >>> 0) + +to;
+        if (!(end >= start)) throw new Error(`Invalid range: ${spec}`);
+        return [start, end];
+    }
+    const single = ipToInt(spec);
+    return [single, single];
+}
+
+function expandSubnets(specs) {
+    const hosts = new Set();
+    for (const spec of (specs || '').split(',').map(s => s.trim()).filter(Boolean)) {
+        const [start, end] = parseRange(spec);
+        if (end - start + 1 + hosts.size > MAX_HOSTS) throw new Error(`Discovery range too large (max ${MAX_HOSTS} hosts)`);
+        for (let n = start; n <= end; n++) hosts.add(intToIp(n));
+    }
+    return [...hosts];
+}
+
+// ─── Probing ──────────────────────────────────────────────────
+async function mapLimit(items, limit, fn) {
+    const results = [];
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+function isPortOpen(ipAddress, port) {
+    return new Promise(resolve => {
+        const socket = net.connect({ host: ipAddress, port });
+        const done = (open) => {
+            socket.destroy();
+            resolve(open);
+        };
+        socket.setTimeout(CONNECT_TIMEOUT_MS, () => done(false));
+        socket.once('connect', () => done(true));
+        socket.once('error', () => done(false));
+    });
+}
+
+async function scanHosts(hosts) {
+    const targets = hosts.flatMap(ipAddress => SCAN_PORTS.map(port => ({ ipAddress, port })));
+    const open = await mapLimit(targets, PORT_CONCURRENCY, t => isPortOpen(t.ipAddress, t.port));
+    return targets.filter((t, i) => open[i]);
+}
+
+// Identify the printer API behind ip:port → { driver, authRequired, hostname, model, firmware } or null
+async function fingerprint(ipAddress, port) {
+    const get = (path) => axios.get(`http://${ipAddress}:${port}${path}`, {
+        timeout: HTTP_TIMEOUT_MS,
+        validateStatus: () => true,
+    }).catch(() => null);
+    const connection = { ipAddress, port };
+
+    // Moonraker answers /server/info without authentication
+    const server = await get('/server/info');
+    if (server?.status === 200 && server.data?.result?.klippy_state !== undefined) {
+        const info = await drivers.getDriver('moonraker').probe(connection).catch(() => ({}));
+        return { driver: 'moonraker', authRequired: false, ...info };
+    }
+
+    // OctoPrint and PrusaLink share /api/version, normally behind an API key
+    const version = await get('/api/version');
+    if (!version) return null;
+
+    let identity = typeof version.data === 'object' ? `${version.data?.text || ''} ${version.data?.server || ''}` : '';
+    if (!/octoprint|prusa/i.test(identity)) {
+        const home = await get('/');
+        identity = typeof home?.data === 'string' ? home.data.slice(0, 8192) : '';
+    }
+    const driver = /prusa\s*-?link/i.test(identity) ? 'prusalink' : /octoprint/i.test(identity) ? 'octoprint' : null;
+    if (!driver) return null;
+
+    if (version.status !== 200) return { driver, authRequired: true, hostname: null, model: null, firmware: null };
+    const info = await drivers.getDriver(driver).probe(connection).catch(() => ({}));
+    return { driver, authRequired: false, ...info };
+}
+
+// Listen for announcements for a few seconds → [{ ipAddress, port, hostname }]
+function browseMdns() {
+    return new Promise(resolve => {
+        const found = new Map();
+        let bonjour;
+        try {
+            bonjour = new Bonjour({}, err => console.error('[DISCOVERY] mDNS error:', err.message));
+        } catch (err) {
+            console.error('[DISCOVERY] mDNS unavailable:', err.message);
+            return resolve([]);
+        }
+
+        const browsers = MDNS_TYPES.map(type => bonjour.find({ type }, service => {
+            const ipAddress = (service.addresses || []).find(a => net.isIPv4(a));
+            if (!ipAddress || !service.port) return;
+            found.set(`${ipAddress}:${service.port}`, {
+                ipAddress,
+                port: service.port,
+                hostname: service.host ? service.host.replace(/\.local\.?$/, '') : null,
+            });
+        }));
+
+        setTimeout(() => {
+            browsers.forEach(b => b.stop());
+            bonjour.destroy();
+            resolve([...found.values()]);
+        }, MDNS_LISTEN_MS);
+    });
+}
+
+// ─── Matching ─────────────────────────────────────────────────
+async function record(devices) {
+    const printers = await prismaClient.printer.findMany({ where: { isActive: true } });
+    const seenAddresses = new Set(devices.map(d => d.ipAddress));
+    const hostCounts = new Map();
+    for (const d of devices) {
+        if (d.hostname) hostCounts.set(d.hostname.toLowerCase(), (hostCounts.get(d.hostname.toLowerCase()) || 0) + 1);
+    }
+
+    for (const device of devices) {
+        const host = device.hostname?.toLowerCase();
+        const byAddress = printers.find(p => p.ipAddress === device.ipAddress);
+        // Hostnames like "mainsailos" are shared by many machines — only trust unique ones,
+        // and only when nothing answers at the printer's registered address any more
+        const byHost = !byAddress && host && hostCounts.get(host) === 1
+            && printers.find(p => p.hostname?.toLowerCase() === host && !seenAddresses.has(p.ipAddress));
+        const printer = byAddress || byHost || null;
+        const status = byAddress ? 'known' : byHost ? 'ip_changed' : 'new';
+
+        const where = { ipAddress_port: { ipAddress: device.ipAddress, port: device.port } };
+        const existing = await prismaClient.discoveredPrinter.findUnique({ where });
+        const data = {
+            driver: device.driver,
+            source: device.source,
+            hostname: device.hostname || null,
+            model: device.model || null,
+            firmware: device.firmware || null,
+            authRequired: device.authRequired,
+            status,
+            printerId: printer?.id ?? null,
+            lastSeenAt: new Date(),
+        };
+        await prismaClient.discoveredPrinter.upsert({
+            where,
+            create: { ipAddress: device.ipAddress, port: device.port, ...data },
+            update: data,
+        });
+
+        // Printers registered before hostnames were recorded
+        if (byAddress && !byAddress.hostname && device.hostname) {
+            await prismaClient.printer.update({ where: { id: byAddress.id }, data: { hostname: device.hostname } });
+        }
+
+        if (status === 'ip_changed' && existing?.status !== 'ip_changed') {
+            const message = `${printer.name} (${printer.hostname}) now answers at ${device.ipAddress}:${device.port} — registered at ${printer.ipAddress}:${printer.port}`;
+            await prismaClient.printerEvent.create({
+                data: { printerId: printer.id, level: 'WARN', code: 'IP_CHANGED', message },
+            });
+            if (ioClient) ioClient.emit('printer:event', { printerId: printer.id, level: 'WARN', code: 'IP_CHANGED', message });
+        }
+    }
+
+    await prismaClient.discoveredPrinter.deleteMany({
+        where: { lastSeenAt: { lt: new Date(Date.now() - STALE_AFTER_MS) } },
+    });
+}
+
+async function scan() {
+    const startedAt = new Date();
+    const hosts = expandSubnets(process.env.DISCOVERY_SUBNETS);
+    const [announced, open] = await Promise.all([browseMdns(), scanHosts(hosts)]);
+
+    const candidates = new Map();
+    for (const c of open) candidates.set(`${c.ipAddress}:${c.port}`, { ...c, source: 'scan', hostname: null });
+    for (const c of announced) candidates.set(`${c.ipAddress}:${c.port}`, { ...c, source: 'mdns' });
+
+    const identified = await mapLimit([...candidates.values()], PROBE_CONCURRENCY, async c => {
+        const found = await fingerprint(c.ipAddress, c.port);
+        return found && { ...c, ...found, hostname: found.hostname || c.hostname };
+    });
+
+    // One entry per instance — Moonraker is often reachable both behind the web UI (80) and on 7125
+    const devices = [];
+    const byInstance = new Set();
+    const portRank = (port) => (SCAN_PORTS.includes(port) ? SCAN_PORTS.indexOf(port) : SCAN_PORTS.length);
+    for (const d of identified.filter(Boolean).sort((a, b) => portRank(a.port) - portRank(b.port))) {
+        const key = `${d.ipAddress}/${d.driver}`;
+        if (byInstance.has(key)) continue;
+        byInstance.add(key);
+        devices.push(d);
+    }
+
+    await record(devices);
+    return { startedAt, finishedAt: new Date(), hostsScanned: hosts.length, found: devices.length, error: null };
+}
+
+/**
+ * Run one discovery pass (subnet scan + mDNS). Concurrent calls share the running scan.
+ */
+function runScan() {
+    if (!prismaClient) return Promise.resolve(null);
+    if (running) return running;
+
+    running = scan()
+        .catch(err => {
+            console.error('[DISCOVERY] Scan error:', err.message);
+            return { startedAt: null, finishedAt: new Date(), hostsScanned: 0, found: 0, error: err.message };
+        })
+        .then(result => {
+            lastScan = result;
+            running = null;
+            if (ioClient) ioClient.emit('discovery:updated', result);
+            console.log(`[DISCOVERY] Scan finished — ${result.found} printer(s) found`);
+            return result;
+        });
+    return running;
+}
+
+function getState() {
+    return { scanning: !!running, lastScan };
+}
+
+function start(prisma, io) {
+    prismaClient = prisma;
+    ioClient = io;
+
+    const intervalMin = process.env.DISCOVERY_INTERVAL_MIN !== undefined ? +process.env.DISCOVERY_INTERVAL_MIN : 30;
+    if (!intervalMin) return;
+    console.log(`[DISCOVERY] Scanning every ${intervalMin} minutes`);
+    intervalId = setInterval(runScan, intervalMin * 60 * 1000);
+}
+
+function stop() {
+    if (intervalId) clearInterval(intervalId);
+}
+
+module.exports = { start, stop, runScan, getState, expandSubnets };
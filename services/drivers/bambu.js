@@ -0,0 +1,138 @@
+/**
+ * Bambu Lab Driver (LAN mode MQTT)
+ * Connects to the printer's own broker on mqtts://<ip>:8883 as user "bblp"
+ * with the LAN access code (apiKey) and listens on device/<serial>/report.
+ * Reports arrive as partial updates — the merged state is kept in memory.
+ */
+const mqtt = require('mqtt');
+const { REQUEST_TIMEOUT_MS, COMMAND_TIMEOUT_MS } = require('./common');
+
+const STALE_AFTER_MS = 60000;
+
+// printerId → { signature, client, state, lastReportAt, version }
+const connections = new Map();
+
+function mapStatus(gcodeState) {
+    const map = {
+        IDLE: 'idle',
+        FINISH: 'idle',
+        FAILED: 'error',
+        PREPARE: 'printing',
+        SLICING: 'printing',
+        RUNNING: 'printing',
+        PAUSE: 'paused',
+    };
+    return map[gcodeState] || 'offline';
+}
+
+function getConnection(printer) {
+    if (!printer.serialNumber) throw new Error('Bambu printers need a serialNumber');
+    if (!printer.apiKey) throw new Error('Bambu printers need the LAN access code as apiKey');
+
+    const signature = `${printer.ipAddress}:${printer.port}:${printer.serialNumber}:${printer.apiKey}`;
+    const existing = connections.get(printer.id);
+    if (existing && existing.signature === signature) return existing;
+    if (existing) existing.client.end(true);
+
+    const conn = { signature, client: null, state: {}, lastReportAt: 0, version: null };
+    conn.client = mqtt.connect(`mqtts://${printer.ipAddress}:${printer.port || 8883}`, {
+        username: 'bblp',
+        password: printer.apiKey,
+        rejectUnauthorized: false, // printers use a self-signed certificate
+        connectTimeout: REQUEST_TIMEOUT_MS,
+        reconnectPeriod: 5000,
+    });
+
+    const reportTopic = `device/${printer.serialNumber}/report`;
+    conn.client.on('connect', () => {
+        conn.client.subscribe(reportTopic);
+        publish(conn, printer, { pushing: { command: 'pushall' } });
+        publish(conn, printer, { info: { command: 'get_version' } });
+    });
+    conn.client.on('message', (topic, payload) => {
+        if (topic !== reportTopic) return;
+        try {
+            const msg = JSON.parse(payload.toString());
+            if (msg.print) conn.state = { ...conn.state, ...msg.print };
+            if (msg.info?.module) conn.version = msg.info.module.find(m => m.name === 'ota')?.sw_ver || null;
+            conn.lastReportAt = Date.now();
+        } catch { }
+    });
+    conn.client.on('error', () => { }); // surfaced through stale reports
+
+    connections.set(printer.id, conn);
+    return conn;
+}
+
+function publish(conn, printer, body) {
+    const [key] = Object.keys(body);
+    const payload = { [key]: { sequence_id: String(Date.now()), ...body[key] } };
+    return new Promise((resolve, reject) => {
+        conn.client.publish(`device/${printer.serialNumber}/request`, JSON.stringify(payload), (err) => (
+            err ? reject(err) : resolve()
+        ));
+    });
+}
+
+// Wait until the first report has arrived (or fail)
+async function waitForReport(conn, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (!conn.lastReportAt && Date.now() < deadline) {
+        await new Promise(r => setTimeout(r, 100));
+    }
+    if (!conn.lastReportAt) throw new Error('No report from printer (check IP, serial and access code)');
+}
+
+async function fetchTelemetry(printer) {
+    const conn = getConnection(printer);
+    await waitForReport(conn, REQUEST_TIMEOUT_MS);
+    if (Date.now() - conn.lastReportAt > STALE_AFTER_MS) throw new Error('Printer stopped reporting');
+
+    const s = conn.state;
+    return {
+        extruderTemp: s.nozzle_temper || 0,
+        extruderTarget: s.nozzle_target_temper || 0,
+        bedTemp: s.bed_temper || 0,
+        bedTarget: s.bed_target_temper || 0,
+        chamberTemp: s.chamber_temper || 0,
+        progress: s.mc_percent || 0,
+        status: mapStatus(s.gcode_state),
+        filamentPresent: s.hw_switch_state === undefined ? true : s.hw_switch_state === 1,
+        fanRpm: Math.round(((+s.cooling_fan_speed || 0) / 15) * 5000), // reported as 0-15
+        currentLayer: s.layer_num ?? null,
+        totalLayers: s.total_layer_num || null,
+        remainingSec: s.mc_remaining_time != null ? s.mc_remaining_time * 60 : null, // minutes
+    };
+}
+
+async function sendCommand(printer, command, params = {}) {
+    // No true emergency stop over LAN — stop is the hardest halt the firmware accepts
+    const bodies = {
+        start: { print: { command: 'gcode_file', param: params.filename } },
+        pause: { print: { command: 'pause' } },
+        resume: { print: { command: 'resume' } },
+        halt: { print: { command: 'stop' } },
+        emergency_stop: { print: { command: 'stop' } },
+    };
+    if (!bodies[command]) throw new Error(`Bambu does not support '${command}'`);
+
+    const conn = getConnection(printer);
+    await waitForReport(conn, COMMAND_TIMEOUT_MS);
+    await publish(conn, printer, bodies[command]);
+}
+
+async function probe(printer) {
+    const conn = getConnection(printer);
+    try {
+        await waitForReport(conn, COMMAND_TIMEOUT_MS);
+        return { firmware: conn.version, model: null, hostname: null };
+    } finally {
+        // Printers probed before registration have no id — do not keep their connection around
+        if (!printer.id || !conn.lastReportAt) {
+            conn.client.end(true);
+            connections.delete(printer.id);
+        }
+    }
+}
+
+module.exports = { name: 'bambu', defaultPort: 8883, fetchTelemetry, sendCommand, probe };
@@ -0,0 +1,19 @@
+/**
+ * Shared helpers for HTTP-based printer drivers
+ */
+
+const REQUEST_TIMEOUT_MS = 3000;
+const COMMAND_TIMEOUT_MS = 5000;
+
+function baseUrl(printer) {
+    return `http://${printer.ipAddress}:${printer.port || 80}`;
+}
+
+// Turn an axios error into a readable reason (API error body if there is one)
+function errorMessage(err) {
+    const data = err.response?.data;
+    if (typeof data === 'string' && data.trim()) return data.trim().slice(0, 200);
+    return data?.error?.message || data?.error || data?.message || err.message;
+}
+
+module.exports = { REQUEST_TIMEOUT_MS, COMMAND_TIMEOUT_MS, baseUrl, errorMessage };
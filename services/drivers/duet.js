@@ -0,0 +1,113 @@
+/**
+ * Duet / RepRapFirmware Driver (standalone HTTP API)
+ * https://github.com/Duet3D/RepRapFirmware/wiki/HTTP-requests
+ * Uses the printer's apiKey as the board password when one is set
+ */
+const axios = require('axios');
+const { REQUEST_TIMEOUT_MS, COMMAND_TIMEOUT_MS, baseUrl, errorMessage } = require('./common');
+
+const GCODES = {
+    start: (params) => `M32 "${params.filename}"`,
+    pause: () => 'M25',
+    resume: () => 'M24',
+    halt: () => 'M25\nM0', // RRF only cancels a print that is paused
+    emergency_stop: () => 'M112',
+};
+
+function mapStatus(status) {
+    const map = {
+        idle: 'idle',
+        busy: 'idle',
+        changingTool: 'printing',
+        printing: 'printing',
+        processing: 'printing',
+        simulating: 'printing',
+        resuming: 'printing',
+        pausing: 'paused',
+        paused: 'paused',
+        halted: 'error',
+        off: 'offline',
+    };
+    return map[status] || 'offline';
+}
+
+// RRF keeps an HTTP session per client IP — (re)open it before each exchange
+async function connect(printer) {
+    const response = await axios.get(`${baseUrl(printer)}/rr_connect`, {
+        params: { password: printer.apiKey || '', time: new Date().toISOString().slice(0, 19) },
+        timeout: REQUEST_TIMEOUT_MS,
+    });
+    if (response.data?.err) throw new Error(response.data.err === 1 ? 'Invalid board password' : 'Board refused connection');
+}
+
+async function getModel(printer) {
+    await connect(printer);
+    const response = await axios.get(`${baseUrl(printer)}/rr_model`, {
+        params: { flags: 'd99fn' },
+        timeout: REQUEST_TIMEOUT_MS,
+    });
+    return response.data?.result || {};
+}
+
+async function fetchTelemetry(printer) {
+    const model = await getModel(printer);
+    const heaters = model.heat?.heaters || [];
+    const bedIndex = model.heat?.bedHeaters?.[0];
+    const chamberIndex = model.heat?.chamberHeaters?.[0];
+    const toolHeater = model.tools?.[0]?.heaters?.[0];
+    const job = model.job || {};
+    const fileSize = job.file?.size || 0;
+
+    const toolState = heaters[toolHeater ?? 1] || {};
+    const bedState = bedIndex >= 0 ? heaters[bedIndex] || {} : {};
+    const axis = (letter) => model.move?.axes?.find(a => a.letter === letter)?.userPosition ?? null;
+
+    return {
+        extruderTemp: toolState.current || 0,
+        extruderTarget: toolState.state === 'active' ? toolState.active || 0 : 0,
+        bedTemp: bedState.current || 0,
+        bedTarget: bedState.state === 'active' ? bedState.active || 0 : 0,
+        chamberTemp: chamberIndex >= 0 ? heaters[chamberIndex]?.current || 0 : 0,
+        progress: fileSize ? ((job.filePosition || 0) / fileSize) * 100 : 0,
+        status: mapStatus(model.state?.status),
+        filamentPresent: !(model.sensors?.filamentMonitors || []).some(m => m?.status === 'noFilament'),
+        fanRpm: model.fans?.[0]?.rpm > 0 ? model.fans[0].rpm : Math.round((model.fans?.[0]?.actualValue || 0) * 5000),
+        posX: axis('X'),
+        posY: axis('Y'),
+        zPosition: axis('Z'),
+        currentLayer: job.layer ?? null,
+        totalLayers: job.file?.numLayers || null,
+        printDurationSec: Math.round(job.duration || 0),
+        remainingSec: job.timesLeft?.slicer ?? job.timesLeft?.file ?? null,
+    };
+}
+
+async function sendCommand(printer, command, params = {}) {
+    const gcode = GCODES[command];
+    if (!gcode) throw new Error(`Duet does not support '${command}'`);
+    try {
+        await connect(printer);
+        await axios.get(`${baseUrl(printer)}/rr_gcode`, {
+            params: { gcode: gcode(params) },
+            timeout: COMMAND_TIMEOUT_MS,
+        });
+    } catch (err) {
+        throw new Error(errorMessage(err));
+    }
+}
+
+async function probe(printer) {
+    try {
+        const model = await getModel(printer);
+        const board = model.boards?.[0] || {};
+        return {
+            firmware: board.firmwareVersion ? `${board.firmwareName || 'RRF'} ${board.firmwareVersion}` : null,
+            model: board.name || null,
+            hostname: model.network?.hostname || model.network?.name || null,
+        };
+    } catch (err) {
+        throw new Error(errorMessage(err));
+    }
+}
+
+module.exports = { name: 'duet', defaultPort: 80, fetchTelemetry, sendCommand, probe };
@@ -0,0 +1,27 @@
+/**
+ * Printer Driver Registry
+ * Keyed by Printer.driver. Every driver exports:
+ *   name, defaultPort
+ *   fetchTelemetry(printer) → { extruderTemp, extruderTarget, bedTemp, bedTarget, progress, status, filamentPresent, fanRpm,
+ *     chamberTemp?, posX?, posY?, zPosition?, currentLayer?, totalLayers?, filamentUsedMm?, printDurationSec?, remainingSec?,
+ *     jobState? (complete | error | cancelled | printing | ...), filename? }
+ *   sendCommand(printer, command, params) → resolves when accepted, throws with the printer's reason
+ *   probe(printer) → { firmware, model, hostname }
+ * Optional:
+ *   subscribe(printer, onUpdate) → { close() } — push telemetry instead of polling
+ *   uploadFile(printer, filePath, filename) → store a G-code file on the printer
+ * Status values follow PrinterTelemetry: idle|printing|paused|error|offline
+ */
+const moonraker = require('./moonraker');
+const octoprint = require('./octoprint');
+const prusalink = require('./prusalink');
+const duet = require('./duet');
+const bambu = require('./bambu');
+
+const DRIVERS = { moonraker, octoprint, prusalink, duet, bambu };
+
+function getDriver(name) {
+    return DRIVERS[name || 'moonraker'] || null;
+}
+
+module.exports = { getDriver, driverNames: Object.keys(DRIVERS) };
@@ -0,0 +1,221 @@
+/**
+ * Moonraker Driver (Klipper)
+ * https://moonraker.readthedocs.io/en/latest/web_api/
+ */
+const fs = require('fs');
+const axios = require('axios');
+const FormData = require('form-data');
+const WebSocket = require('ws');
+const { REQUEST_TIMEOUT_MS, COMMAND_TIMEOUT_MS, baseUrl, errorMessage } = require('./common');
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 60000;
+const UPLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+
+const COMMAND_PATHS = {
+    start: '/printer/print/start',
+    pause: '/printer/print/pause',
+    resume: '/printer/print/resume',
+    halt: '/printer/print/cancel',
+    emergency_stop: '/printer/emergency_stop',
+};
+
+function mapStatus(state) {
+    const map = {
+        printing: 'printing',
+        paused: 'paused',
+        standby: 'idle',
+        complete: 'idle',
+        cancelled: 'idle',
+        error: 'error',
+    };
+    return map[state] || 'offline';
+}
+
+// Klipper [filament_switch_sensor <name>] — runout is reported when filament_detected goes false
+const FILAMENT_SENSOR = `filament_switch_sensor ${process.env.MOONRAKER_FILAMENT_SENSOR || 'filament_sensor'}`;
+
+// Klipper [temperature_sensor <name>] reporting the chamber — missing objects are simply not returned
+const CHAMBER_SENSOR = `temperature_sensor ${process.env.MOONRAKER_CHAMBER_SENSOR || 'chamber'}`;
+
+const STATUS_OBJECTS = [
+    'extruder', 'heater_bed', 'print_stats', 'display_status', 'virtual_sdcard', 'fan', 'toolhead',
+    FILAMENT_SENSOR, CHAMBER_SENSOR,
+];
+
+function toTelemetry(data) {
+    const extruder = data.extruder || {};
+    const bed = data.heater_bed || {};
+    const printStats = data.print_stats || {};
+    const layers = printStats.info || {}; // filled by SET_PRINT_STATS_INFO from the slicer
+    const fan = data.fan || {};
+    const sensor = data[FILAMENT_SENSOR];
+    const position = Array.isArray(data.toolhead?.position) ? data.toolhead.position : [];
+
+    return {
+        extruderTemp: extruder.temperature || 0,
+        extruderTarget: extruder.target || 0,
+        bedTemp: bed.temperature || 0,
+        bedTarget: bed.target || 0,
+        // print_stats has no progress — virtual_sdcard reports the file position, M73 lands in display_status
+        progress: (data.virtual_sdcard?.progress ?? data.display_status?.progress ?? 0) * 100,
+        status: mapStatus(printStats.state),
+        // No sensor configured (or disabled) → assume filament is present
+        filamentPresent: sensor?.enabled === false ? true : sensor?.filament_detected !== false,
+        fanRpm: Math.round((fan.speed || 0) * 5000),
+        chamberTemp: data[CHAMBER_SENSOR]?.temperature || 0,
+        posX: position[0] ?? null,
+        posY: position[1] ?? null,
+        zPosition: position[2] ?? null,
+        currentLayer: layers.current_layer ?? null,
+        totalLayers: layers.total_layer ?? null,
+        filamentUsedMm: printStats.filament_used || 0,
+        printDurationSec: Math.round(printStats.print_duration || 0),
+        // Raw print_stats state and file — lets the job tracker tell "complete" from "idle"
+        jobState: printStats.state || null,
+        filename: printStats.filename || null,
+    };
+}
+
+async function fetchTelemetry(printer) {
+    const response = await axios.get(
+        `${baseUrl(printer)}/printer/objects/query?${STATUS_OBJECTS.map(encodeURIComponent).join('&')}`,
+        { timeout: REQUEST_TIMEOUT_MS }
+    );
+    return toTelemetry(response.data?.result?.status || {});
+}
+
+// Deep-merge a notify_status_update diff into the cached object state
+function mergeStatus(state, diff) {
+    for (const [key, value] of Object.entries(diff || {})) {
+        state[key] = { ...(state[key] || {}), ...value };
+    }
+    return state;
+}
+
+/**
+ * Persistent JSON-RPC websocket (/websocket) with printer.objects.subscribe.
+ * Calls onUpdate(telemetry) on every status notification and onUpdate(null, reason)
+ * whenever the link or Klippy goes down. Reconnects with exponential backoff.
+ * Returns { close() }.
+ */
+function subscribe(printer, onUpdate) {
+    let ws = null;
+    let closed = false;
+    let backoffMs = RECONNECT_MIN_MS;
+    let reconnectTimer = null;
+    let state = {};
+    let rpcId = 0;
+
+    const send = (method, params) => {
+        if (ws?.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ jsonrpc: '2.0', method, params, id: ++rpcId }));
+        }
+        return rpcId;
+    };
+
+    const subscribeObjects = () => {
+        state = {};
+        return send('printer.objects.subscribe', {
+            objects: Object.fromEntries(STATUS_OBJECTS.map(o => [o, null])),
+        });
+    };
+
+    function connect() {
+        ws = new WebSocket(`ws://${printer.ipAddress}:${printer.port || 80}/websocket`, {
+            handshakeTimeout: REQUEST_TIMEOUT_MS,
+        });
+        let subscribeId = null;
+
+        ws.on('open', () => {
+            backoffMs = RECONNECT_MIN_MS;
+            subscribeId = subscribeObjects();
+        });
+
+        ws.on('message', (raw) => {
+            let msg;
+            try { msg = JSON.parse(raw.toString()); } catch { return; }
+
+            if (msg.id === subscribeId) {
+                // Klippy not ready yet — wait for notify_klippy_ready
+                if (msg.error) return onUpdate(null, msg.error.message);
+                onUpdate(toTelemetry(mergeStatus(state, msg.result?.status)));
+            } else if (msg.method === 'notify_status_update') {
+                onUpdate(toTelemetry(mergeStatus(state, msg.params?.[0])));
+            } else if (msg.method === 'notify_klippy_ready') {
+                subscribeId = subscribeObjects();
+            } else if (msg.method === 'notify_klippy_shutdown') {
+                onUpdate({ ...toTelemetry(state), status: 'error' });
+            } else if (msg.method === 'notify_klippy_disconnected') {
+                onUpdate(null, 'Klippy disconnected');
+            }
+        });
+
+        ws.on('close', () => {
+            if (closed) return;
+            onUpdate(null, 'Websocket closed');
+            reconnectTimer = setTimeout(connect, backoffMs);
+            backoffMs = Math.min(backoffMs * 2, RECONNECT_MAX_MS);
+        });
+
+        ws.on('error', () => { }); // followed by 'close'
+    }
+
+    connect();
+
+    return {
+        close() {
+            closed = true;
+            clearTimeout(reconnectTimer);
+            if (ws) ws.terminate();
+        },
+    };
+}
+
+async function sendCommand(printer, command, params = {}) {
+    const path = COMMAND_PATHS[command];
+    if (!path) throw new Error(`Moonraker does not support '${command}'`);
+    try {
+        await axios.post(`${baseUrl(printer)}${path}`, null, {
+            params: command === 'start' ? { filename: params.filename } : {},
+            timeout: COMMAND_TIMEOUT_MS,
+        });
+    } catch (err) {
+        throw new Error(errorMessage(err));
+    }
+}
+
+// Upload into the gcodes root; the print is started separately so it can be confirmed
+async function uploadFile(printer, filePath, filename) {
+    const form = new FormData();
+    form.append('root', 'gcodes');
+    form.append('file', fs.createReadStream(filePath), { filename });
+    try {
+        await axios.post(`${baseUrl(printer)}/server/files/upload`, form, {
+            headers: form.getHeaders(),
+            timeout: UPLOAD_TIMEOUT_MS,
+            maxBodyLength: Infinity,
+        });
+    } catch (err) {
+        throw new Error(errorMessage(err));
+    }
+}
+
+async function probe(printer) {
+    try {
+        const [server, info] = await Promise.all([
+            axios.get(`${baseUrl(printer)}/server/info`, { timeout: REQUEST_TIMEOUT_MS }),
+            axios.get(`${baseUrl(printer)}/printer/info`, { timeout: REQUEST_TIMEOUT_MS }),
+        ]);
+        const printerInfo = info.data?.result || {};
+        return {
+            firmware: printerInfo.software_version || server.data?.result?.moonraker_version || null,
+            model: null,
+            hostname: printerInfo.hostname || null,
+        };
+    } catch (err) {
+        throw new Error(errorMessage(err));
+    }
+}
+
+module.exports = { name: 'moonraker', defaultPort: 80, fetchTelemetry, subscribe, sendCommand, uploadFile, probe };
@@ -0,0 +1,70 @@
+/**
+ * OctoPrint Driver
+ * https://docs.octoprint.org/en/master/api/
+ * Authenticates with the printer's apiKey (X-Api-Key)
+ */
+const axios = require('axios');
+const { REQUEST_TIMEOUT_MS, COMMAND_TIMEOUT_MS, baseUrl, errorMessage } = require('./common');
+
+function headers(printer) {
+    return printer.apiKey ? { 'X-Api-Key': printer.apiKey } : {};
+}
+
+function mapStatus(flags = {}) {
+    if (flags.error || flags.closedOrError) return 'error';
+    if (flags.paused || flags.pausing) return 'paused';
+    if (flags.printing || flags.resuming) return 'printing';
+    if (flags.operational || flags.ready) return 'idle';
+    return 'offline';
+}
+
+async function fetchTelemetry(printer) {
+    const [state, job] = await Promise.all([
+        axios.get(`${baseUrl(printer)}/api/printer`, { headers: headers(printer), timeout: REQUEST_TIMEOUT_MS }),
+        axios.get(`${baseUrl(printer)}/api/job`, { headers: headers(printer), timeout: REQUEST_TIMEOUT_MS }),
+    ]);
+
+    const temps = state.data?.temperature || {};
+    return {
+        extruderTemp: temps.tool0?.actual || 0,
+        extruderTarget: temps.tool0?.target || 0,
+        bedTemp: temps.bed?.actual || 0,
+        bedTarget: temps.bed?.target || 0,
+        chamberTemp: temps.chamber?.actual || 0,
+        progress: job.data?.progress?.completion || 0,
+        status: mapStatus(state.data?.state?.flags),
+        filamentPresent: true, // OctoPrint core has no filament sensor API
+        fanRpm: 0,
+        printDurationSec: job.data?.progress?.printTime || 0,
+        remainingSec: job.data?.progress?.printTimeLeft ?? null,
+    };
+}
+
+async function sendCommand(printer, command, params = {}) {
+    const url = baseUrl(printer);
+    const opts = { headers: headers(printer), timeout: COMMAND_TIMEOUT_MS };
+    const requests = {
+        start: () => axios.post(`${url}/api/files/local/${encodeURIComponent(params.filename)}`, { command: 'select', print: true }, opts),
+        pause: () => axios.post(`${url}/api/job`, { command: 'pause', action: 'pause' }, opts),
+        resume: () => axios.post(`${url}/api/job`, { command: 'pause', action: 'resume' }, opts),
+        halt: () => axios.post(`${url}/api/job`, { command: 'cancel' }, opts),
+        emergency_stop: () => axios.post(`${url}/api/printer/command`, { commands: ['M112'] }, opts),
+    };
+    if (!requests[command]) throw new Error(`OctoPrint does not support '${command}'`);
+    try {
+        await requests[command]();
+    } catch (err) {
+        throw new Error(errorMessage(err));
+    }
+}
+
+async function probe(printer) {
+    try {
+        const response = await axios.get(`${baseUrl(printer)}/api/version`, { headers: headers(printer), timeout: REQUEST_TIMEOUT_MS });
+        return { firmware: response.data?.text || null, model: null, hostname: null };
+    } catch (err) {
+        throw new Error(errorMessage(err));
+    }
+}
+
+module.exports = { name: 'octoprint', defaultPort: 80, fetchTelemetry, sendCommand, probe };
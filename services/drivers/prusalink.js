@@ -0,0 +1,91 @@
+/**
+ * PrusaLink Driver (MK4 / XL / MINI / MK3.9)
+ * https://github.com/prusa3d/Prusa-Link-Web/blob/master/spec/openapi.yaml
+ * Authenticates with the printer's apiKey (X-Api-Key)
+ */
+const axios = require('axios');
+const { REQUEST_TIMEOUT_MS, COMMAND_TIMEOUT_MS, baseUrl, errorMessage } = require('./common');
+
+function headers(printer) {
+    return printer.apiKey ? { 'X-Api-Key': printer.apiKey } : {};
+}
+
+function mapStatus(state) {
+    const map = {
+        IDLE: 'idle',
+        READY: 'idle',
+        FINISHED: 'idle',
+        STOPPED: 'idle',
+        BUSY: 'printing',
+        PRINTING: 'printing',
+        PAUSED: 'paused',
+        ATTENTION: 'error',
+        ERROR: 'error',
+    };
+    return map[state] || 'offline';
+}
+
+async function getStatus(printer) {
+    const response = await axios.get(`${baseUrl(printer)}/api/v1/status`, { headers: headers(printer), timeout: REQUEST_TIMEOUT_MS });
+    return response.data || {};
+}
+
+async function fetchTelemetry(printer) {
+    const { printer: state = {}, job = {} } = await getStatus(printer);
+    return {
+        extruderTemp: state.temp_nozzle || 0,
+        extruderTarget: state.target_nozzle || 0,
+        bedTemp: state.temp_bed || 0,
+        bedTarget: state.target_bed || 0,
+        progress: job.progress || 0,
+        status: mapStatus(state.state),
+        filamentPresent: true, // PrusaLink reports runout as ATTENTION state
+        fanRpm: state.fan_print || 0,
+        posX: state.axis_x ?? null,
+        posY: state.axis_y ?? null,
+        zPosition: state.axis_z ?? null,
+        printDurationSec: job.time_printing || 0,
+        remainingSec: job.time_remaining ?? null,
+    };
+}
+
+async function sendCommand(printer, command, params = {}) {
+    const url = baseUrl(printer);
+    const opts = { headers: headers(printer), timeout: COMMAND_TIMEOUT_MS };
+    try {
+        if (command === 'start') {
+            await axios.post(`${url}/api/v1/files/usb/${encodeURIComponent(params.filename)}`, null, opts);
+            return;
+        }
+
+        const { job } = await getStatus(printer);
+        if (!job?.id) throw new Error('No active job on printer');
+
+        // PrusaLink has no emergency stop endpoint — stopping the job is the closest action
+        const requests = {
+            pause: () => axios.put(`${url}/api/v1/job/${job.id}/pause`, null, opts),
+            resume: () => axios.put(`${url}/api/v1/job/${job.id}/resume`, null, opts),
+            halt: () => axios.delete(`${url}/api/v1/job/${job.id}`, opts),
+            emergency_stop: () => axios.delete(`${url}/api/v1/job/${job.id}`, opts),
+        };
+        if (!requests[command]) throw new Error(`PrusaLink does not support '${command}'`);
+        await requests[command]();
+    } catch (err) {
+        throw new Error(errorMessage(err));
+    }
+}
+
+async function probe(printer) {
+    try {
+        const response = await axios.get(`${baseUrl(printer)}/api/version`, { headers: headers(printer), timeout: REQUEST_TIMEOUT_MS });
+        return {
+            firmware: response.data?.firmware || response.data?.server || null,
+            model: response.data?.text || null,
+            hostname: response.data?.hostname || null,
+        };
+    } catch (err) {
+        throw new Error(errorMessage(err));
+    }
+}
+
+module.exports = { name: 'prusalink', defaultPort: 80, fetchTelemetry, sendCommand, probe };
@@ -0,0 +1,121 @@
+/**
+ * Energy Budget
+ * Admission control for job starts: a job is only started when the projected farm
+ * load — current load, printers still heating up, plus this job's heat-up peak —
+ * stays under EnergySettings.maxLoadKw.
+ *
+ * Power profile per printer: { peakKw (heat-up), steadyKw (printing) }
+ *   learned — 1-minute rollups of recent printing time, once there is enough of it
+ *   rating  — the printer's energyRating through the same model the telemetry uses
+ * Minute averages smooth out heater inrush, so the peak never goes below
+ * steadyKw × ENERGY_HEATUP_FACTOR.
+ */
+const { calculateEnergyDraw } = require('./telemetryService');
+
+const HEATUP_FACTOR = +process.env.ENERGY_HEATUP_FACTOR || 1.8;
+const HEATUP_MS = (+process.env.ENERGY_HEATUP_MIN || 10) * 60 * 1000;
+const LEARN_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+const LEARN_MIN_MINUTES = 30;   // printing minutes needed before history replaces the rating
+const PROFILE_TTL_MS = 10 * 60 * 1000;
+const READING_MAX_AGE_MS = 2 * 60 * 1000;
+
+const profiles = new Map(); // printerId → { profile, at }
+
+const round = (kw) => +kw.toFixed(3);
+
+// Heater temperatures of a typical PLA/PETG print — what the telemetry model calls "printing"
+function ratedSteadyKw(printer) {
+    return calculateEnergyDraw(210, 60, printer.energyRating ?? 0.4);
+}
+
+async function learnedSteadyKw(prisma, printer) {
+    const rows = await prisma.printerTelemetryRollup.findMany({
+        where: { printerId: printer.id, resolution: '1m', bucketStart: { gte: new Date(Date.now() - LEARN_WINDOW_MS) } },
+        select: { energyAvgKw: true, statusDurations: true },
+        orderBy: { bucketStart: 'desc' },
+        take: 5000,
+    });
+    // Minutes spent (almost) entirely printing
+    const printing = rows
+        .filter(r => (JSON.parse(r.statusDurations || '{}').printing || 0) >= 45 && r.energyAvgKw > 0)
+        .map(r => r.energyAvgKw);
+    if (printing.length < LEARN_MIN_MINUTES) return null;
+    return {
+        steadyKw: printing.reduce((s, kw) => s + kw, 0) / printing.length,
+        maxKw: Math.max(...printing),
+        minutes: printing.length,
+    };
+}
+
+/**
+ * Projected power profile of a job on `printer`:
+ * { peakKw, steadyKw, source: 'learned' | 'rating', learnedMinutes? }
+ */
+async function powerProfile(prisma, printer) {
+    const cached = profiles.get(printer.id);
+    if (cached && Date.now() - cached.at < PROFILE_TTL_MS && cached.rating === printer.energyRating) return cached.profile;
+
+    const learned = await learnedSteadyKw(prisma, printer).catch(() => null);
+    const steadyKw = learned ? learned.steadyKw : ratedSteadyKw(printer);
+    const profile = {
+        peakKw: round(Math.max(learned?.maxKw || 0, steadyKw * HEATUP_FACTOR)),
+        steadyKw: round(steadyKw),
+        source: learned ? 'learned' : 'rating',
+        ...(learned && { learnedMinutes: learned.minutes }),
+    };
+    profiles.set(printer.id, { profile, at: Date.now(), rating: printer.energyRating });
+    return profile;
+}
+
+/**
+ * Farm load right now, as the base for admission decisions:
+ * { limitKw, currentKw, heatingKw, committedKw, draws: Map(printerId → kW) }
+ * heatingKw is what printers started within ENERGY_HEATUP_MIN will still add on
+ * top of their current draw before they settle.
+ */
+async function snapshot(prisma, settings) {
+    const limitKw = settings?.maxLoadKw || 6.0;
+    const latest = await prisma.printerTelemetry.findMany({ distinct: ['printerId'], orderBy: { recordedAt: 'desc' } });
+    const draws = new Map(latest.map(t => [t.printerId, t.energyDraw || 0]));
+
+    // A fresh reading (Modbus or calculated) when there is one, otherwise the telemetry sum
+    const reading = await prisma.energyReading.findFirst({ orderBy: { recordedAt: 'desc' } });
+    const calculated = (settings?.baseLoadKw ?? 1.2) + [...draws.values()].reduce((s, kw) => s + kw, 0);
+    const currentKw = reading && Date.now() - reading.recordedAt < READING_MAX_AGE_MS ? reading.currentKw : calculated;
+
+    const heating = await prisma.job.findMany({
+        where: { status: 'printing', printerId: { not: null }, startedAt: { gte: new Date(Date.now() - HEATUP_MS) } },
+        select: { printerId: true, projectedPeakKw: true },
+    });
+    const heatingKw = heating.reduce((s, j) => s + Math.max(0, (j.projectedPeakKw || 0) - (draws.get(j.printerId) || 0)), 0);
+
+    return { limitKw, currentKw: round(currentKw), heatingKw: round(heatingKw), committedKw: 0, draws };
+}
+
+/**
+ * Would starting a job on `printer` keep the projected load under the limit?
+ * Returns the numbers behind the decision, shown to the operator as is.
+ */
+function evaluate(snap, printer, profile) {
+    const addedKw = Math.max(0, profile.peakKw - (snap.draws.get(printer.id) || 0));
+    const projectedKw = snap.currentKw + snap.heatingKw + snap.committedKw + addedKw;
+    return {
+        fits: projectedKw <= snap.limitKw,
+        limitKw: snap.limitKw,
+        currentKw: snap.currentKw,
+        heatingKw: round(snap.heatingKw + snap.committedKw),
+        jobPeakKw: profile.peakKw,
+        jobSteadyKw: profile.steadyKw,
+        profileSource: profile.source,
+        projectedKw: round(projectedKw),
+        headroomKw: round(snap.limitKw - projectedKw),
+        addedKw: round(addedKw),
+    };
+}
+
+// Count an admitted start against the snapshot for the rest of the run
+function commit(snap, evaluation) {
+    snap.committedKw += evaluation.addedKw;
+}
+
+module.exports = { powerProfile, snapshot, evaluate, commit };
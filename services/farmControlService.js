@@ -0,0 +1,151 @@
+/**
+ * Farm Control
+ * Bulk printer commands — all printers, a printer group or a list of printers —
+ * and the farm-wide emergency stop. Commands go out to every printer in parallel
+ * and each printer's outcome is reported. An emergency stop also halts the queue
+ * (FarmHalt) until an operator clears it.
+ */
+const printerCommandService = require('./printerCommandService');
+
+const BULK_COMMANDS = ['pause', 'resume', 'halt', 'emergency_stop'];
+const LEVELS = { success: 'INFO', timeout: 'WARN', rejected: 'ERROR' };
+
+let stopInFlight = null; // single emergency stop at a time — repeated triggers join it
+
+function emit(event, payload) {
+    if (global.io) global.io.emit(event, payload);
+}
+
+/**
+ * Active printers for a target: { all: true } | { group } | { printerIds: [] }
+ * Returns null when the target is missing or ambiguous.
+ */
+async function resolveTargets(prisma, { all, group, printerIds } = {}) {
+    const given = [all === true, !!group, Array.isArray(printerIds)].filter(Boolean).length;
+    if (given !== 1) return null;
+
+    const where = { isActive: true };
+    if (group) where.group = String(group);
+    if (Array.isArray(printerIds)) where.id = { in: printerIds.map(Number).filter(Number.isInteger) };
+    return prisma.printer.findMany({ where, orderBy: { name: 'asc' } });
+}
+
+/**
+ * Send one command to many printers in parallel.
+ * `label` describes who/what sent it for the printer event log.
+ * Returns { command, total, succeeded, results: [{ printerId, name, result, status, message }] }
+ */
+async function runCommand(prisma, printers, command, label) {
+    const isStop = command === 'halt' || command === 'emergency_stop';
+
+    const results = await Promise.all(printers.map(async (printer) => {
+        let outcome;
+        try {
+            outcome = await printerCommandService.sendCommand(printer, command);
+        } catch (err) {
+            outcome = { result: 'rejected', status: null, message: err.message };
+        }
+
+        // One printer failing to log must not hide the others' results
+        await prisma.printerEvent.create({
+            data: {
+                printerId: printer.id,
+                level: command === 'emergency_stop' ? 'CRITICAL' : (outcome.result === 'success' && isStop ? 'WARN' : LEVELS[outcome.result]),
+                code: `CMD_${command.toUpperCase()}`,
+                message: `${label} — ${outcome.result}: ${outcome.message}`,
+            },
+        }).catch(err => console.error(`[FARM] ${printer.name} event:`, err.message));
+
+        if (outcome.result === 'success') emit('printer:telemetry', { printerId: printer.id, status: outcome.status });
+        emit('printer:event', { printerId: printer.id, command, result: outcome.result, newStatus: outcome.status });
+
+        return { printerId: printer.id, name: printer.name, result: outcome.result, status: outcome.status, message: outcome.message };
+    }));
+
+    return {
+        command,
+        total: results.length,
+        succeeded: results.filter(r => r.result === 'success').length,
+        results,
+    };
+}
+
+async function getHalt(prisma) {
+    return (await prisma.farmHalt.findUnique({ where: { id: 1 } })) || { id: 1, isHalted: false };
+}
+
+async function isHalted(prisma) {
+    return (await getHalt(prisma)).isHalted;
+}
+
+// Printers to stop — the database when it answers, else the ones the telemetry loop last polled
+async function stopTargets(prisma) {
+    try {
+        return await prisma.printer.findMany({ where: { isActive: true }, orderBy: { name: 'asc' } });
+    } catch (err) {
+        console.error('[FARM] Printer list unavailable, stopping the last polled printers:', err.message);
+        return require('./telemetryService').knownPrinters();
+    }
+}
+
+// The stops go out first; the FarmHalt row is written alongside and a failed write never holds them up
+async function doEmergencyStop(prisma, { reason, source, user }) {
+    const now = new Date();
+    console.error(`[FARM] EMERGENCY STOP (${source}) — ${reason}`);
+    emit('farm:emergencyStop', { reason, source, by: user?.name || null, at: now });
+
+    const halt = { isHalted: true, reason, source, haltedById: user?.id || null, haltedAt: now, clearedById: null, clearedAt: null };
+    const halting = prisma.farmHalt.upsert({ where: { id: 1 }, create: { id: 1, ...halt }, update: halt })
+        .then(() => true)
+        .catch((err) => {
+            console.error('[FARM] Halt not recorded — the queue may start new jobs:', err.message);
+            return false;
+        });
+
+    const printers = await stopTargets(prisma);
+    const label = `Farm emergency stop (${source}${user ? `, ${user.name}` : ''}): ${reason}`;
+    const summary = await runCommand(prisma, printers, 'emergency_stop', label);
+    const recorded = await halting;
+
+    await prisma.auditLog.create({
+        data: {
+            userId: user?.id || null, action: 'FARM_EMERGENCY_STOP', entity: 'Farm', entityId: '1',
+            details: JSON.stringify({ reason, source, total: summary.total, succeeded: summary.succeeded, failed: summary.results.filter(r => r.result !== 'success').map(r => r.name) }),
+        },
+    }).catch(err => console.error('[FARM] Emergency stop audit:', err.message));
+    emit('farm:emergencyStopResult', summary);
+    return { halted: recorded, reason, source, ...summary };
+}
+
+/**
+ * Emergency-stop every active printer and halt the queue.
+ * source: 'manual' (user given) or the alert trigger that fired it, e.g. 'SMOKE'.
+ */
+function emergencyStop(prisma, { reason, source = 'manual', user = null }) {
+    if (!stopInFlight) {
+        stopInFlight = doEmergencyStop(prisma, { reason, source, user })
+            .finally(() => { stopInFlight = null; });
+    }
+    return stopInFlight;
+}
+
+// Lift the halt — printers themselves still need to be restarted on the machine
+async function clearHalt(prisma, user) {
+    const halt = await getHalt(prisma);
+    if (!halt.isHalted) return null;
+
+    const cleared = await prisma.farmHalt.update({
+        where: { id: 1 },
+        data: { isHalted: false, clearedById: user.id, clearedAt: new Date() },
+    });
+    await prisma.auditLog.create({
+        data: {
+            userId: user.id, action: 'FARM_HALT_CLEARED', entity: 'Farm', entityId: '1',
+            details: JSON.stringify({ reason: halt.reason, source: halt.source, haltedAt: halt.haltedAt }),
+        },
+    });
+    emit('farm:resumed', { by: user.name, at: cleared.clearedAt });
+    return cleared;
+}
+
+module.exports = { BULK_COMMANDS, resolveTargets, runCommand, emergencyStop, clearHalt, getHalt, isHalted };
@@ -0,0 +1,177 @@
+/**
+ * G-code Metadata Parser
+ * Reads slicer comments (PrusaSlicer, OrcaSlicer/Bambu Studio, Cura) from the
+ * head and tail of a G-code file and computes a SHA-256 checksum.
+ * PrusaSlicer writes its summary at the end of the file, Cura and Orca at the top.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+
+const SCAN_BYTES = 256 * 1024; // head + tail window
+
+// g/cm³ — used when the slicer only reports filament length
+const DENSITY = { PLA: 1.24, PETG: 1.27, ABS: 1.04, ASA: 1.07, TPU: 1.21, PA: 1.14, PC: 1.2 };
+const FILAMENT_DIAMETER_MM = 1.75;
+
+function sha256File(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+function readHeadAndTail(filePath) {
+    const { size } = fs.statSync(filePath);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const read = (position, length) => {
+            const buf = Buffer.alloc(length);
+            fs.readSync(fd, buf, 0, length, position);
+            return buf.toString('utf8');
+        };
+        if (size <= SCAN_BYTES * 2) return read(0, size);
+        return read(0, SCAN_BYTES) + '\n' + read(size - SCAN_BYTES, SCAN_BYTES);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// "1d 2h 3m 4s" | "2h 3m" | "45m 10s" → minutes
+function parseDuration(text) {
+    if (!text) return null;
+    const units = { d: 1440, h: 60, m: 1, s: 1 / 60 };
+    let minutes = 0;
+    let matched = false;
+    for (const [, value, unit] of text.matchAll(/(\d+(?:\.\d+)?)\s*([dhms])/g)) {
+        minutes += parseFloat(value) * units[unit];
+        matched = true;
+    }
+    return matched ? Math.round(minutes) : null;
+}
+
+function firstMatch(text, patterns) {
+    for (const re of patterns) {
+        const m = text.match(re);
+        if (m) return m[1].trim();
+    }
+    return null;
+}
+
+function detectSlicer(text) {
+    const m = text.match(/generated (?:by|with) (PrusaSlicer|OrcaSlicer|BambuStudio|SuperSlicer|Cura_SteamEngine)\s*([\w.+-]*)/i);
+    if (!m) return { slicer: 'unknown', slicerVersion: null };
+    const slicer = m[1].toLowerCase().startsWith('cura') ? 'cura' : m[1].toLowerCase();
+    return { slicer, slicerVersion: m[2] || null };
+}
+
+function gramsFromLength(lengthMm, material) {
+    const radiusCm = FILAMENT_DIAMETER_MM / 20;
+    const volumeCm3 = Math.PI * radiusCm * radiusCm * (lengthMm / 10);
+    return volumeCm3 * (DENSITY[material] || DENSITY.PLA);
+}
+
+function parseText(text) {
+    const { slicer, slicerVersion } = detectSlicer(text);
+
+    // ─── Material ─────────────────────────────────────────────
+    const material = firstMatch(text, [
+        /^;\s*filament_type\s*=\s*([^;\r\n]+)/m,
+        /^;\s*filament_settings_id\s*=\s*"?([A-Z]+)/m,
+        /^;MATERIAL_TYPE:\s*(.+)$/m,
+    ]);
+    const normalizedMaterial = material ? material.split(/[;,]/)[0].replace(/"/g, '').trim().toUpperCase() : null;
+
+    // ─── Print time ───────────────────────────────────────────
+    let estimatedTimeMin = null;
+    const curaSeconds = firstMatch(text, [/^;TIME:(\d+)/m]);
+    if (curaSeconds) {
+        estimatedTimeMin = Math.round(+curaSeconds / 60);
+    } else {
+        estimatedTimeMin = parseDuration(firstMatch(text, [
+            /^;\s*estimated printing time \(normal mode\)\s*=\s*(.+)$/m,
+            /total estimated time:\s*([^;\r\n]+)/m,
+            /^;\s*model printing time:\s*([^;\r\n]+)/m,
+        ]));
+    }
+
+    // ─── Filament ─────────────────────────────────────────────
+    let filamentGrams = null;
+    const grams = firstMatch(text, [
+        /^;\s*total filament used \[g\]\s*=\s*([\d.]+)/m,
+        /^;\s*filament used \[g\]\s*=\s*([\d.]+)/m,
+        /^;\s*total filament weight \[g\]\s*:\s*([\d.]+)/m,
+    ]);
+    if (grams) {
+        filamentGrams = +parseFloat(grams).toFixed(2);
+    } else {
+        const curaMeters = firstMatch(text, [/^;Filament used:\s*([\d.]+)m/m]);
+        const lengthMm = curaMeters
+            ? parseFloat(curaMeters) * 1000
+            : parseFloat(firstMatch(text, [/^;\s*filament used \[mm\]\s*=\s*([\d.]+)/m]));
+        if (lengthMm) filamentGrams = +gramsFromLength(lengthMm, normalizedMaterial).toFixed(2);
+    }
+
+    // ─── Layers ───────────────────────────────────────────────
+    const layers = firstMatch(text, [
+        /^;LAYER_COUNT:(\d+)/m,
+        /^;\s*total layers? (?:count|number)\s*[:=]\s*(\d+)/m,
+    ]);
+
+    // ─── Nozzle ───────────────────────────────────────────────
+    const nozzle = firstMatch(text, [
+        /^;\s*nozzle_diameter\s*=\s*([\d.]+)/m,
+        /^;EXTRUDER_TRAIN\.0\.NOZZLE\.DIAMETER:([\d.]+)/m,
+    ]);
+
+    return {
+        slicer,
+        slicerVersion,
+        estimatedTimeMin,
+        filamentGrams,
+        material: normalizedMaterial,
+        layerCount: layers ? +layers : null,
+        nozzleDiameter: nozzle ? +nozzle : null,
+        ...parseBoundingBox(text),
+    };
+}
+
+// Cura writes the full bounding box; PrusaSlicer/Orca only the model height
+function parseBoundingBox(text) {
+    const bound = (edge, axis) => firstMatch(text, [
+        new RegExp(`^;${edge}${axis}:(-?[\\d.]+)`, 'm'),
+        new RegExp(`^;PRINT\\.SIZE\\.${edge}\\.${axis}:(-?[\\d.]+)`, 'm'),
+    ]);
+    const span = (axis) => {
+        const min = bound('MIN', axis);
+        const max = bound('MAX', axis);
+        return min !== null && max !== null ? +(parseFloat(max) - parseFloat(min)).toFixed(2) : null;
+    };
+    // Height is measured from the bed, not from the first layer
+    const height = bound('MAX', 'Z') || firstMatch(text, [
+        /^;\s*max_layer_z\s*=\s*([\d.]+)/m,
+        /^;\s*max_z_height:\s*([\d.]+)/m,
+    ]);
+    return {
+        sizeX: span('X'),
+        sizeY: span('Y'),
+        sizeZ: height ? +parseFloat(height).toFixed(2) : null,
+    };
+}
+
+/**
+ * Parse a G-code file on disk.
+ * Returns { sha256, sizeBytes, slicer, slicerVersion, estimatedTimeMin, filamentGrams, material, layerCount,
+ *           nozzleDiameter, sizeX, sizeY, sizeZ }
+ */
+async function parseFile(filePath) {
+    const [sha256, metadata] = await Promise.all([
+        sha256File(filePath),
+        Promise.resolve().then(() => parseText(readHeadAndTail(filePath))),
+    ]);
+    return { sha256, sizeBytes: fs.statSync(filePath).size, ...metadata };
+}
+
+module.exports = { parseFile, parseText };
@@ -0,0 +1,133 @@
+/**
+ * Incident Service
+ * Printer events at ERROR or CRITICAL open incidents: open → acknowledged → resolved.
+ * Events are picked up by a sweep (so every writer of PrinterEvent is covered) and
+ * grouped — a repeat of the same code on the same printer joins the incident that is
+ * still open or acknowledged instead of opening a new one.
+ */
+const cron = require('node-cron');
+
+let prismaClient = null;
+let ioClient = null;
+let sweeping = false;
+
+const INCIDENT_LEVELS = ['ERROR', 'CRITICAL'];
+const ACTIVE_STATUSES = ['open', 'acknowledged'];
+const LOOKBACK_MS = 24 * 60 * 60 * 1000; // events written while the server was down
+const BATCH_SIZE = 500;
+
+function emit(event, incident) {
+    if (ioClient) ioClient.emit(event, incident);
+}
+
+// Group a single event into its incident (new or existing)
+async function attach(event) {
+    const code = event.code || event.level;
+    const existing = await prismaClient.incident.findFirst({
+        where: { printerId: event.printerId, code, status: { in: ACTIVE_STATUSES } },
+        orderBy: { firstSeenAt: 'desc' },
+    });
+
+    let incident;
+    if (existing) {
+        incident = await prismaClient.incident.update({
+            where: { id: existing.id },
+            data: {
+                eventCount: { increment: 1 },
+                lastSeenAt: event.createdAt > existing.lastSeenAt ? event.createdAt : existing.lastSeenAt,
+                message: event.message,
+                ...(event.level === 'CRITICAL' && { level: 'CRITICAL' }),
+            },
+        });
+    } else {
+        incident = await prismaClient.incident.create({
+            data: {
+                printerId: event.printerId, code, level: event.level, message: event.message,
+                firstSeenAt: event.createdAt, lastSeenAt: event.createdAt,
+            },
+        });
+    }
+    await prismaClient.printerEvent.update({ where: { id: event.id }, data: { incidentId: incident.id } });
+
+    emit(existing ? 'incident:updated' : 'incident:opened', incident);
+    if (!existing) console.log(`[INCIDENTS] Opened #${incident.id} ${code} on printer ${event.printerId}`);
+    return incident;
+}
+
+async function sweep() {
+    if (!prismaClient || sweeping) return;
+    sweeping = true;
+    try {
+        const events = await prismaClient.printerEvent.findMany({
+            where: {
+                level: { in: INCIDENT_LEVELS },
+                incidentId: null,
+                createdAt: { gte: new Date(Date.now() - LOOKBACK_MS) },
+            },
+            orderBy: { createdAt: 'asc' },
+            take: BATCH_SIZE,
+        });
+        // In order — each event may join the incident the previous one opened
+        for (const event of events) await attach(event);
+    } catch (err) {
+        console.error('[INCIDENTS] Sweep error:', err.message);
+    } finally {
+        sweeping = false;
+    }
+}
+
+const secondsSince = (from, to) => Math.max(0, Math.round((to - from) / 1000));
+
+// Both return null when someone else moved the incident on first (conditional write)
+async function acknowledge(prisma, incident, user, notes) {
+    const now = new Date();
+    const { count } = await prisma.incident.updateMany({
+        where: { id: incident.id, status: 'open' },
+        data: {
+            status: 'acknowledged', acknowledgedById: user.id, acknowledgedAt: now,
+            ackDelaySec: secondsSince(incident.firstSeenAt, now),
+            ...(notes && { notes }),
+        },
+    });
+    if (count === 0) return null;
+
+    const updated = await prisma.incident.findUnique({ where: { id: incident.id } });
+    emit('incident:updated', updated);
+    return updated;
+}
+
+// Resolving an open incident acknowledges it in the same step — unless someone acknowledged it meanwhile
+async function resolve(prisma, incident, user, rootCause, notes) {
+    const now = new Date();
+    const count = await prisma.$transaction(async (tx) => {
+        const resolved = await tx.incident.updateMany({
+            where: { id: incident.id, status: { not: 'resolved' } },
+            data: {
+                status: 'resolved', resolvedById: user.id, resolvedAt: now,
+                resolveDelaySec: secondsSince(incident.firstSeenAt, now), rootCause,
+                ...(notes !== undefined && { notes }),
+            },
+        });
+        if (resolved.count > 0) {
+            await tx.incident.updateMany({
+                where: { id: incident.id, acknowledgedAt: null },
+                data: { acknowledgedById: user.id, acknowledgedAt: now, ackDelaySec: secondsSince(incident.firstSeenAt, now) },
+            });
+        }
+        return resolved.count;
+    });
+    if (count === 0) return null;
+
+    const updated = await prisma.incident.findUnique({ where: { id: incident.id } });
+    emit('incident:updated', updated);
+    return updated;
+}
+
+function start(prisma, io) {
+    prismaClient = prisma;
+    ioClient = io;
+    console.log('[INCIDENTS] Grouping ERROR/CRITICAL printer events every 10 seconds');
+    cron.schedule('*/10 * * * * *', sweep);
+}
+
+module.exports = { start, sweep, acknowledge, resolve, ACTIVE_STATUSES, INCIDENT_LEVELS };
@@ -0,0 +1,178 @@
+/**
+ * Job Lifecycle
+ * Every job status change goes through transition() — PUT /api/jobs/:id/status
+ * and the printer tracker below:
+ *   - paused time is tracked (pausedAt / pausedSec) and left out of actualTime
+ *   - the queue item follows the job (done | failed | cancelled, back to queued on requeue)
+ *   - an ended job frees its printer: the queue engine skips printers with a printing
+ *     or paused job, not printers with an old assigned queue item
+ * The tracker follows telemetry: pauses/resumes on any driver, and the end of the
+ * running job when Moonraker reports complete / error / cancelled for that job's file.
+ */
+const path = require('path');
+const telemetryService = require('./telemetryService');
+const maintenanceService = require('./maintenanceService');
+const spoolService = require('./spoolService');
+const timelapseService = require('./timelapseService');
+const alertService = require('./alertService');
+
+let prismaClient = null;
+
+const ACTIVE_STATUSES = ['printing', 'paused'];
+const END_STATUSES = ['completed', 'failed', 'cancelled'];
+const QUEUE_END_STATUS = { completed: 'done', failed: 'failed', cancelled: 'cancelled' };
+const PRINTER_END_STATES = { complete: 'completed', error: 'failed', cancelled: 'cancelled' };
+// Reset on every (re)start of a job on a printer
+const FRESH_RUN = {
+    completedAt: null, pausedAt: null, pausedSec: 0, actualTime: null, stalledAt: null,
+    projectedPeakKw: null, projectedSteadyKw: null,
+};
+// A just-dispatched job can still see the previous run's "complete" for the same file
+const REDISPATCH_GUARD_MS = 10 * 60 * 1000;
+
+function emit(event, payload) {
+    if (global.io) global.io.emit(event, payload);
+}
+
+const secondsBetween = (from, to) => Math.max(0, Math.round((to - from) / 1000));
+
+/**
+ * Move a job to `status` and apply everything that follows from it.
+ * Returns the updated job (with printer).
+ */
+async function transition(prisma, job, status) {
+    const now = new Date();
+    const data = { status };
+
+    // Close a running pause whatever the new status is
+    if (status === 'paused') {
+        if (!job.pausedAt) data.pausedAt = now;
+    } else if (job.pausedAt) {
+        data.pausedAt = null;
+        data.pausedSec = (job.pausedSec || 0) + secondsBetween(job.pausedAt, now);
+    }
+    if (status === 'printing' && !job.startedAt) data.startedAt = now;
+    if (status === 'completed') data.completedAt = now;
+    if (END_STATUSES.includes(status)) data.stalledAt = null;
+    // Requeue — the next run starts from scratch
+    if (status === 'queued') {
+        Object.assign(data, { printerId: null, startedAt: null, ...FRESH_RUN });
+    }
+
+    let updated = await prisma.job.update({ where: { id: job.id }, data, include: { printer: true } });
+
+    if (QUEUE_END_STATUS[status]) {
+        await prisma.queueItem.updateMany({ where: { jobId: job.id }, data: { status: QUEUE_END_STATUS[status] } });
+    } else if (status === 'queued') {
+        await prisma.queueItem.updateMany({
+            where: { jobId: job.id },
+            data: { status: 'queued', printerId: null, blockReason: null, scheduledStartAt: null, deferredUntil: null, deferSavings: null },
+        });
+    }
+
+    const ended = END_STATUSES.includes(status) && !END_STATUSES.includes(job.status);
+    if (END_STATUSES.includes(status)) {
+        // Run time counts toward the printer's maintenance intervals
+        await maintenanceService.accumulateHours(updated, prisma).catch(err => console.error('[MAINTENANCE] Hour tracking failed:', err.message));
+        // Last look at the bed for the job record (background — camera may be slow)
+        timelapseService.captureFinal(updated).catch(err => console.error('[TIMELAPSE] Final frame failed:', err.message));
+        updated = await prisma.job.findUnique({ where: { id: job.id }, include: { printer: true } });
+    }
+
+    if (status === 'completed') {
+        // Deduct material from the spool loaded on the printer
+        await spoolService.consumeForJob(updated, prisma).catch(err => console.error('[SPOOLS] Consumption failed:', err.message));
+
+        // If completed, check if label should be auto-printed
+        if (ended && updated.orderId) {
+            emit('printer:event', { type: 'JOB_COMPLETE', job: updated });
+            alertService.triggerAlert('JOB_COMPLETE', { jobName: updated.name, printer: updated.printer?.name });
+        }
+    }
+
+    emit('queue:updated', { type: 'JOB_STATUS', jobId: job.id, status, printerId: job.printerId });
+    return updated;
+}
+
+// Printer ids with a printing or paused job — not free for new work
+async function busyPrinterIds(prisma = prismaClient) {
+    const jobs = await prisma.job.findMany({
+        where: { status: { in: ACTIVE_STATUSES }, printerId: { not: null } },
+        select: { printerId: true },
+    });
+    return new Set(jobs.map(j => j.printerId));
+}
+
+// ─── Printer tracker ──────────────────────────────────────────
+const watched = new Map(); // printerId → { status, jobState, filename, seenJobId, queue }
+
+// Jobs are uploaded as `<jobCode>-<original name>` (see queueEngine.dispatchJob)
+function fileMatches(job, filename) {
+    if (!filename) return false;
+    const base = path.basename(filename);
+    return base.startsWith(`${job.jobCode}-`) || base === job.gcodeFile?.originalName;
+}
+
+async function systemTransition(job, status, message) {
+    const updated = await transition(prismaClient, job, status);
+    await prismaClient.printerEvent.create({
+        data: {
+            printerId: job.printerId,
+            level: status === 'failed' ? 'ERROR' : 'INFO',
+            code: `JOB_${status.toUpperCase()}`,
+            message: `Job ${job.jobCode} ${message}`,
+        },
+    });
+    await prismaClient.auditLog.create({
+        data: {
+            userId: null, action: `JOB_STATUS_${status.toUpperCase()}`, entity: 'Job', entityId: String(job.id),
+            details: JSON.stringify({ source: 'printer', from: job.status }),
+        },
+    });
+    console.log(`[JOBS] ${job.jobCode} → ${status} (${message})`);
+    return updated;
+}
+
+async function follow(data, w) {
+    const job = await prismaClient.job.findFirst({
+        where: { printerId: data.printerId, status: { in: ACTIVE_STATUSES } },
+        include: { gcodeFile: true },
+        orderBy: { startedAt: 'desc' },
+    });
+    if (!job) return;
+
+    const onThisFile = fileMatches(job, data.filename);
+    if (onThisFile && data.jobState === 'printing') w.seenJobId = job.id;
+
+    // Moonraker: the job's own file reached an end state
+    const endStatus = PRINTER_END_STATES[data.jobState];
+    if (endStatus && onThisFile && (w.seenJobId === job.id || Date.now() - job.startedAt > REDISPATCH_GUARD_MS)) {
+        return systemTransition(job, endStatus, `reported ${data.jobState} by the printer`);
+    }
+
+    // Pause / resume — drivers without a filename are trusted on status alone
+    if (data.filename && !onThisFile) return;
+    if (job.status === 'printing' && data.status === 'paused') return systemTransition(job, 'paused', 'paused on the printer');
+    if (job.status === 'paused' && data.status === 'printing') return systemTransition(job, 'printing', 'resumed on the printer');
+}
+
+// Only changes matter — telemetry arrives up to several times a second
+function onTelemetry(data) {
+    if (!prismaClient || !data.isReachable) return;
+    if (!watched.has(data.printerId)) watched.set(data.printerId, { queue: Promise.resolve() });
+    const w = watched.get(data.printerId);
+    if (w.status === data.status && w.jobState === data.jobState && w.filename === data.filename) return;
+    Object.assign(w, { status: data.status, jobState: data.jobState, filename: data.filename });
+
+    w.queue = w.queue
+        .then(() => follow(data, w))
+        .catch(err => console.error(`[JOBS] Tracker (printer ${data.printerId}):`, err.message));
+}
+
+function start(prisma) {
+    prismaClient = prisma;
+    telemetryService.events.on('telemetry', onTelemetry);
+    console.log('[JOBS] Following printer state for pauses and job completion');
+}
+
+module.exports = { start, transition, busyPrinterIds, FRESH_RUN, ACTIVE_STATUSES, END_STATUSES };
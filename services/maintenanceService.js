@@ -0,0 +1,145 @@
+/**
+ * Maintenance Service — Preventive Maintenance
+ * Tasks are defined per printer model with an interval in print hours and/or
+ * calendar days (whichever comes first). Print hours accumulate from job durations.
+ * A work order opens when a task is nearly due; overdue critical work takes the
+ * printer out of queue assignment until it is done.
+ */
+const cron = require('node-cron');
+const alertService = require('./alertService');
+
+let prismaClient = null;
+let ioClient = null;
+
+const DUE_SOON_RATIO = 0.9; // open the work order at 90% of the interval
+const OPEN_STATUSES = ['open', 'in_progress'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function appliesTo(task, printer) {
+    return !task.printerModel || task.printerModel.toLowerCase() === (printer.model || '').toLowerCase();
+}
+
+function isOverdue(order, printer, now = new Date()) {
+    return (order.dueHours != null && printer.printHours >= order.dueHours)
+        || (order.dueAt != null && now >= order.dueAt);
+}
+
+/**
+ * Where a printer stands on one task since its last completed service
+ * (or since the printer was added). Ratio ≥ 1 means overdue.
+ */
+function taskStatus(task, printer, lastDone, now = new Date()) {
+    const baseHours = lastDone?.printHoursAtService ?? 0;
+    const baseAt = lastDone?.completedAt || printer.createdAt;
+
+    const hoursSince = Math.max(0, printer.printHours - baseHours);
+    const daysSince = (now - baseAt) / DAY_MS;
+    const ratios = [
+        task.intervalHours ? hoursSince / task.intervalHours : 0,
+        task.intervalDays ? daysSince / task.intervalDays : 0,
+    ];
+
+    return {
+        hoursSince: +hoursSince.toFixed(2),
+        daysSince: +daysSince.toFixed(1),
+        ratio: +Math.max(...ratios).toFixed(3),
+        dueHours: task.intervalHours ? +(baseHours + task.intervalHours).toFixed(2) : null,
+        dueAt: task.intervalDays ? new Date(baseAt.getTime() + task.intervalDays * DAY_MS) : null,
+    };
+}
+
+// An order for the same due point — cancelling one means "not this time", not "open it again"
+function sameDuePoint(order, status) {
+    return order.dueHours === status.dueHours && (order.dueAt?.getTime() ?? null) === (status.dueAt?.getTime() ?? null);
+}
+
+/**
+ * Add a finished job's run time to its printer's print hours.
+ * Uses actualTime as the "already counted" marker so each job counts once.
+ */
+async function accumulateHours(job, prisma) {
+    if (!job.printerId || !job.startedAt || job.actualTime != null) return null;
+
+    const endedAt = job.completedAt || new Date();
+    // Paused time is not run time
+    const minutes = Math.max(0, Math.round(((endedAt - job.startedAt) / 1000 - (job.pausedSec || 0)) / 60));
+
+    const [, printer] = await prisma.$transaction([
+        prisma.job.update({ where: { id: job.id }, data: { actualTime: minutes } }),
+        prisma.printer.update({
+            where: { id: job.printerId },
+            data: { printHours: { increment: minutes / 60 } },
+        }),
+    ]);
+    return printer;
+}
+
+async function notify(printer, level, code, message) {
+    await prismaClient.printerEvent.create({ data: { printerId: printer.id, level, code, message } });
+    if (ioClient) ioClient.emit('maintenance:updated', { printerId: printer.id, code, message });
+}
+
+// Open work orders for tasks coming due and flag orders that just went overdue
+async function runCheck() {
+    if (!prismaClient) return;
+    try {
+        const now = new Date();
+        const [printers, tasks] = await Promise.all([
+            prismaClient.printer.findMany({ where: { isActive: true } }),
+            prismaClient.maintenanceTask.findMany({ where: { isActive: true } }),
+        ]);
+
+        for (const printer of printers) {
+            const orders = await prismaClient.maintenanceOrder.findMany({
+                where: { printerId: printer.id, status: { in: [...OPEN_STATUSES, 'done', 'cancelled'] } },
+                orderBy: { completedAt: 'desc' },
+            });
+
+            for (const task of tasks.filter(t => appliesTo(t, printer))) {
+                const open = orders.find(o => o.taskId === task.id && OPEN_STATUSES.includes(o.status));
+
+                if (!open) {
+                    const lastDone = orders.find(o => o.taskId === task.id && o.status === 'done');
+                    const status = taskStatus(task, printer, lastDone, now);
+                    if (status.ratio < DUE_SOON_RATIO) continue;
+                    if (orders.some(o => o.taskId === task.id && o.status === 'cancelled' && sameDuePoint(o, status))) continue;
+
+                    await prismaClient.maintenanceOrder.create({
+                        data: { taskId: task.id, printerId: printer.id, dueHours: status.dueHours, dueAt: status.dueAt },
+                    });
+                    await notify(printer, 'WARN', 'MAINTENANCE_DUE', `${task.name} due (${status.hoursSince} h / ${status.daysSince} d since last service)`);
+                    console.log(`[MAINTENANCE] ${task.name} due on "${printer.name}"`);
+                    continue;
+                }
+
+                if (!open.overdueAt && isOverdue(open, printer, now)) {
+                    await prismaClient.maintenanceOrder.update({ where: { id: open.id }, data: { overdueAt: now } });
+                    const message = `${task.name} overdue${task.isCritical ? ' — printer blocked from new jobs' : ''}`;
+                    await notify(printer, task.isCritical ? 'ERROR' : 'WARN', 'MAINTENANCE_OVERDUE', message);
+                    await alertService.triggerAlert('MAINTENANCE_OVERDUE', { printer: printer.name, message });
+                }
+            }
+        }
+    } catch (err) {
+        console.error('[MAINTENANCE] Check error:', err.message);
+    }
+}
+
+// Printer ids with overdue critical work — the queue engine skips these
+async function blockedPrinterIds(prisma = prismaClient) {
+    const orders = await prisma.maintenanceOrder.findMany({
+        where: { status: { in: OPEN_STATUSES }, task: { isCritical: true } },
+        include: { printer: true },
+    });
+    const now = new Date();
+    return new Set(orders.filter(o => isOverdue(o, o.printer, now)).map(o => o.printerId));
+}
+
+function start(prisma, io) {
+    prismaClient = prisma;
+    ioClient = io;
+    console.log('[MAINTENANCE] Scheduler started — checking every minute');
+    cron.schedule('20 * * * * *', runCheck);
+}
+
+module.exports = { start, runCheck, accumulateHours, blockedPrinterIds, taskStatus, isOverdue, appliesTo, OPEN_STATUSES };
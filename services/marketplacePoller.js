@@ -46,6 +46,14 @@ async function pollTreatstock(integration) {
     }
 }
 
+// Ship-by date under the names the marketplaces use — null when absent or unparseable
+function payloadDueAt(raw) {
+    const value = raw.ship_by || raw.ship_by_date || raw.shipping_deadline || raw.due_date || raw.deadline || raw.lead_time_date;
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
+
 // ─── Import Orders from Marketplace ─────────────────────────
 async function importOrders(orders, marketplaceSource, prisma) {
     let imported = 0;
@@ -68,6 +76,7 @@ async function importOrders(orders, marketplaceSource, prisma) {
                 totalValue: parseFloat(raw.price || raw.total_price || 0),
                 currency: raw.currency || 'EUR',
                 status: 'incoming',
+                dueAt: payloadDueAt(raw),
                 rawPayload: JSON.stringify(raw),
                 statusLogs: {
                     create: { toStatus: 'incoming', actor: 'system' }
@@ -0,0 +1,96 @@
+/**
+ * Printer Command Service
+ * Sends control commands to the printer through its driver
+ * and waits for the new state to show up in the next telemetry poll
+ */
+const telemetryService = require('./telemetryService');
+const drivers = require('./drivers');
+
+const CONFIRM_TIMEOUT_MS = 20000; // ~3 telemetry polls
+
+// command → printer status that confirms it
+const COMMANDS = {
+    start: { expect: ['printing'] },
+    pause: { expect: ['paused'] },
+    resume: { expect: ['printing'] },
+    halt: { expect: ['idle'] },
+    // Firmware shuts down after an emergency stop — the next poll shows error or no answer at all.
+    // Not idle: an idle printer (or a Duet reporting busy) would confirm a stop that never happened.
+    emergency_stop: { expect: ['error', 'offline'] },
+};
+
+// Resolves with the first matching status, or the last seen one on timeout
+function waitForStatus(printerId, expected, timeoutMs) {
+    let cancel;
+    const promise = new Promise((resolve) => {
+        let lastStatus = null;
+
+        const onTelemetry = (data) => {
+            if (data.printerId !== printerId) return;
+            lastStatus = data.status;
+            if (expected.includes(data.status)) finish(true);
+        };
+
+        const timer = setTimeout(() => finish(false), timeoutMs);
+
+        function finish(confirmed) {
+            clearTimeout(timer);
+            telemetryService.events.off('telemetry', onTelemetry);
+            resolve({ confirmed, status: lastStatus });
+        }
+
+        cancel = () => finish(false);
+        telemetryService.events.on('telemetry', onTelemetry);
+    });
+    return { promise, cancel };
+}
+
+/**
+ * Send a command and wait for confirmation.
+ * Returns { result: 'success' | 'timeout' | 'rejected', status, message }
+ */
+async function sendCommand(printer, command, params = {}) {
+    const def = COMMANDS[command];
+    const driver = drivers.getDriver(printer.driver);
+    if (!def) return { result: 'rejected', status: null, message: `Unsupported command: ${command}` };
+    if (!driver) return { result: 'rejected', status: null, message: `Unknown driver '${printer.driver}'` };
+
+    // Listen before sending so a fast poll is not missed
+    const confirmation = waitForStatus(printer.id, def.expect, CONFIRM_TIMEOUT_MS);
+
+    try {
+        await driver.sendCommand(printer, command, params);
+    } catch (err) {
+        confirmation.cancel();
+        return { result: 'rejected', status: null, message: err.message };
+    }
+
+    const { confirmed, status } = await confirmation.promise;
+    if (confirmed) {
+        return { result: 'success', status, message: `Printer reported '${status}'` };
+    }
+    return {
+        result: 'timeout',
+        status,
+        message: `No '${def.expect.join("' or '")}' state within ${CONFIRM_TIMEOUT_MS / 1000}s (last seen: ${status || 'none'})`,
+    };
+}
+
+/**
+ * Upload a G-code file to the printer and start it.
+ * Same result shape as sendCommand — upload failures count as 'rejected'.
+ */
+async function startFile(printer, filePath, filename) {
+    const driver = drivers.getDriver(printer.driver);
+    if (!driver?.uploadFile) {
+        return { result: 'rejected', status: null, message: `File upload not supported by driver '${printer.driver}'` };
+    }
+    try {
+        await driver.uploadFile(printer, filePath, filename);
+    } catch (err) {
+        return { result: 'rejected', status: null, message: `Upload failed: ${err.message}` };
+    }
+    return sendCommand(printer, 'start', { filename });
+}
+
+module.exports = { sendCommand, startFile, COMMANDS };
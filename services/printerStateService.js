@@ -0,0 +1,110 @@
+/**
+ * Printer State Machine
+ * Debounces reachability — a printer only goes offline after
+ * PRINTER_OFFLINE_AFTER_FAILURES consecutive failed checks — and records every
+ * state transition (idle → printing → paused → error → offline) in
+ * PrinterStateHistory with start and end times.
+ */
+const EventEmitter = require('events');
+
+let prismaClient = null;
+let ioClient = null;
+
+const OFFLINE_AFTER_FAILURES = Math.max(1, +process.env.PRINTER_OFFLINE_AFTER_FAILURES || 3);
+
+// In-process feed of transitions: 'stateChanged' → { printerId, name, from, to, reason, at }
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// printerId → { state, failures, queue } — queue serializes history writes per printer
+const machines = new Map();
+
+function getMachine(printerId) {
+    if (!machines.has(printerId)) machines.set(printerId, { state: null, failures: 0, queue: Promise.resolve() });
+    return machines.get(printerId);
+}
+
+async function record(printer, from, to, reason, at) {
+    // Close whatever is open — including the row left open by a previous run
+    const open = await prismaClient.printerStateHistory.findMany({
+        where: { printerId: printer.id, endedAt: null },
+        orderBy: { startedAt: 'asc' },
+    });
+
+    // First reading after a restart, same state as before — keep the existing row
+    if (from === null && open.length === 1 && open[0].state === to) return;
+
+    for (const row of open) {
+        await prismaClient.printerStateHistory.update({
+            where: { id: row.id },
+            data: { endedAt: at, durationSec: Math.max(0, Math.round((at - row.startedAt) / 1000)) },
+        });
+    }
+    await prismaClient.printerStateHistory.create({
+        data: { printerId: printer.id, state: to, reason, startedAt: at },
+    });
+
+    const change = { printerId: printer.id, name: printer.name, from: from ?? open[open.length - 1]?.state ?? null, to, reason, at };
+    events.emit('stateChanged', change);
+    if (ioClient) ioClient.emit('printer:stateChanged', change);
+}
+
+/**
+ * Feed one raw reading. Returns false while a failed check is being debounced —
+ * the caller should drop that reading — and true when it should be processed.
+ * Transitions are recorded in the background, in order.
+ */
+function observe(printer, data) {
+    const m = getMachine(printer.id);
+
+    if (!data.isReachable) {
+        m.failures++;
+        if (m.failures < OFFLINE_AFTER_FAILURES && m.state !== 'offline') return false;
+    } else {
+        m.failures = 0;
+    }
+
+    if (prismaClient && data.status !== m.state) {
+        const from = m.state;
+        m.state = data.status;
+        const reason = data.error || null;
+        const at = new Date();
+        m.queue = m.queue
+            .then(() => record(printer, from, data.status, reason, at))
+            .catch(err => console.error(`[STATE] ${printer.name}:`, err.message));
+    }
+    return true;
+}
+
+/**
+ * Transitions overlapping [from, to] with durations clipped to the window,
+ * plus total seconds per state.
+ */
+async function getHistory(prisma, printerId, from, to) {
+    const rows = await prisma.printerStateHistory.findMany({
+        where: {
+            printerId,
+            startedAt: { lt: to },
+            OR: [{ endedAt: null }, { endedAt: { gt: from } }],
+        },
+        orderBy: { startedAt: 'asc' },
+    });
+
+    const now = new Date();
+    const totals = {};
+    const transitions = rows.map(row => {
+        const start = row.startedAt > from ? row.startedAt : from;
+        const end = row.endedAt || (now < to ? now : to);
+        const seconds = Math.max(0, Math.round(((end < to ? end : to) - start) / 1000));
+        totals[row.state] = (totals[row.state] || 0) + seconds;
+        return { ...row, windowSec: seconds };
+    });
+    return { transitions, totals };
+}
+
+function init(prisma, io) {
+    prismaClient = prisma;
+    ioClient = io;
+}
+
+module.exports = { init, observe, getHistory, events };
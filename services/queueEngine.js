@@ -3,76 +3,282 @@
  * Persists queue in SQLite (not in-memory)
  * Survives server restarts and power failures
  * Runs assignment check every 15 seconds
+ *
+ * Warmup staggering plans start slots instead of waiting in the run: a job that has
+ * to wait for its heat-up gets its printer reserved (queue item "scheduled" with
+ * scheduledStartAt) and a later run starts it once the slot is due. Slots live in
+ * the database, so they survive restarts and show up in GET /api/queue.
+ *
+ * With peak protection on, every start must fit the energy budget (see
+ * energyBudgetService) — jobs that do not fit wait for a later run.
+ *
+ * Low-priority jobs with a flexibility (Job.maxDeferMin) are held until the cheapest
+ * tariff window that still meets their deadline (see tariffService); the hold and its
+ * projected saving are stored on the queue item.
  */
 const cron = require('node-cron');
+const printerCommandService = require('./printerCommandService');
+const maintenanceService = require('./maintenanceService');
+const capabilityService = require('./capabilityService');
+const farmControlService = require('./farmControlService');
+const jobLifecycleService = require('./jobLifecycleService');
+const energyBudgetService = require('./energyBudgetService');
+const tariffService = require('./tariffService');
+
+// Priority band first, earliest deadline first within a band, then first come first served
+const QUEUE_ORDER = [{ priority: 'asc' }, { job: { dueAt: { sort: 'asc', nulls: 'last' } } }, { createdAt: 'asc' }];
+const QUEUE_PAGE_SIZE = 100;
 
 let prismaClient = null;
+let processing = false; // single-flight — a run must never overlap the next tick
 
-async function processQueue() {
+// Upload the job's G-code to the printer and start it.
+// Jobs without a file are left for the operator to start on the machine.
+async function dispatchJob(job, printer) {
     if (!prismaClient) return;
 
-    try {
-        const settings = await prismaClient.energySettings.findUnique({ where: { id: 1 } });
-        const latestEnergy = await prismaClient.energyReading.findFirst({ orderBy: { recordedAt: 'desc' } });
+    const file = job.gcodeFile || await prismaClient.gcodeFile.findUnique({ where: { jobId: job.id } });
+    if (!file) return;
 
-        // Energy gate — don't auto-assign if at peak
-        if (settings?.peakProtection && latestEnergy) {
-            const threshold = settings.maxLoadKw * 0.9;
-            if (latestEnergy.currentKw >= threshold) {
-                return; // silently skip — peak protection active
-            }
+    const remoteName = `${job.jobCode}-${file.originalName}`.replace(/[^\w.-]/g, '_');
+    const outcome = await printerCommandService.startFile(printer, file.filePath, remoteName);
+    const levels = { success: 'INFO', timeout: 'WARN', rejected: 'ERROR' };
+
+    // Release the printer first — a failed event write must not leave the job "printing"
+    if (outcome.result === 'rejected') {
+        // Back to the queue as blocked so the operator sees why
+        await prismaClient.queueItem.update({
+            where: { jobId: job.id },
+            data: { status: 'blocked', blockReason: outcome.message.slice(0, 191), printerId: null, scheduledStartAt: null },
+        });
+        await prismaClient.job.update({
+            where: { id: job.id },
+            data: { status: 'queued', printerId: null, startedAt: null },
+        });
+        if (global.io) global.io.emit('queue:updated', { type: 'JOB_START_FAILED', jobId: job.id, reason: outcome.message });
+    }
+
+    await prismaClient.printerEvent.create({
+        data: {
+            printerId: printer.id,
+            level: levels[outcome.result],
+            code: 'PRINT_START',
+            message: `Job ${job.jobCode} (${remoteName}) — ${outcome.result}: ${outcome.message}`,
+        },
+    });
+
+    console.log(`[QUEUE] Start of "${job.name}" on "${printer.name}": ${outcome.result}`);
+}
+
+// Explain on the queue item when no printer in the farm can run the job (it stays queued)
+async function noteNoCompatiblePrinter(item, printers) {
+    if (printers.some(p => capabilityService.isCompatible(item.job, p))) return;
+
+    const reasons = printers.length
+        ? [...new Set(printers.flatMap(p => capabilityService.incompatibilities(item.job, p)))]
+        : ['No active printers'];
+    const blockReason = `No compatible printer: ${reasons.join('; ')}`.slice(0, 191);
+    if (item.blockReason === blockReason) return;
+
+    await prismaClient.queueItem.update({ where: { id: item.id }, data: { blockReason } });
+    if (global.io) global.io.emit('queue:updated', { type: 'JOB_NO_COMPATIBLE_PRINTER', itemId: item.id, reason: blockReason });
+}
+
+// Printers held by a planned start slot (optionally not counting one queue item)
+async function reservedPrinterIds(prisma = prismaClient, exceptItemId = null) {
+    const items = await prisma.queueItem.findMany({
+        where: { status: 'scheduled', printerId: { not: null }, ...(exceptItemId && { id: { not: exceptItemId } }) },
+        select: { printerId: true },
+    });
+    return new Set(items.map(i => i.printerId));
+}
+
+// Put the job on its printer now and upload + start it
+async function startOnPrinter(item, printer, startAt, profile) {
+    await prismaClient.queueItem.update({
+        where: { id: item.id },
+        data: { printerId: printer.id, status: 'assigned', blockReason: null, scheduledStartAt: startAt },
+    });
+    await prismaClient.job.update({
+        where: { id: item.jobId },
+        data: {
+            printerId: printer.id, status: 'printing', startedAt: new Date(), ...jobLifecycleService.FRESH_RUN,
+            projectedPeakKw: profile.peakKw, projectedSteadyKw: profile.steadyKw,
+        },
+    });
+
+    console.log(`[QUEUE] Auto-assigned job "${item.job.name}" → printer "${printer.name}"`);
+    if (global.io) global.io.emit('queue:updated', { type: 'JOB_ASSIGNED', itemId: item.id, printerId: printer.id });
+
+    // Upload + start in the background — confirmation can take several telemetry cycles
+    dispatchJob(item.job, printer).catch(err => console.error('[QUEUE] Dispatch error:', err.message));
+}
+
+// Energy admission for one start — counts it against the run's snapshot when it fits
+async function admit(budget, printer) {
+    const profile = await energyBudgetService.powerProfile(prismaClient, printer);
+    const evaluation = energyBudgetService.evaluate(budget.snapshot, printer, profile);
+    const fits = evaluation.fits || !budget.enforced;
+    if (fits) energyBudgetService.commit(budget.snapshot, evaluation);
+    return { fits, profile, evaluation };
+}
+
+// Start reservations whose heat-up time has come. A reserved printer that is no longer
+// free gives its job back to the queue for a fresh slot; one that does not fit the
+// energy budget keeps its reservation until it does. Returns the printers used.
+async function startDueSlots(freePrinters, budget) {
+    const due = await prismaClient.queueItem.findMany({
+        where: { status: 'scheduled', scheduledStartAt: { lte: new Date() } },
+        include: { job: { include: { gcodeFile: true } } },
+        orderBy: { scheduledStartAt: 'asc' },
+    });
+
+    const used = new Set();
+    for (const item of due) {
+        const printer = freePrinters.find(p => p.id === item.printerId);
+        if (!printer || !capabilityService.isCompatible(item.job, printer)) {
+            await prismaClient.queueItem.update({
+                where: { id: item.id },
+                data: { status: 'queued', printerId: null, scheduledStartAt: null },
+            });
+            console.log(`[QUEUE] Reserved printer for "${item.job.name}" is no longer free — back to the queue`);
+            continue;
         }
+        const { fits, profile } = await admit(budget, printer);
+        used.add(printer.id);
+        if (!fits) continue;
+        await startOnPrinter(item, printer, item.scheduledStartAt, profile);
+    }
+    return used;
+}
+
+// Only the low band (priority 10) waits for cheaper energy
+const DEFERRABLE_PRIORITY = 10;
+
+// Hold a flexible low-priority job for a cheaper start on `printer`. Returns true when held.
+async function deferForTariff(item, printer, schedule) {
+    if (!schedule || item.priority < DEFERRABLE_PRIORITY) return false;
+    const latestStart = tariffService.latestStartFor(item.job, item.createdAt);
+    if (!latestStart) return false;
 
-        // Find idle printers
+    const profile = await energyBudgetService.powerProfile(prismaClient, printer);
+    const plan = tariffService.cheapestStart(schedule, {
+        durationMin: item.job.estimatedTime, kw: profile.steadyKw, latestStart,
+    });
+    if (plan.startAt <= new Date()) return false;
+
+    await prismaClient.queueItem.update({
+        where: { id: item.id },
+        data: { deferredUntil: plan.startAt, deferSavings: plan.savings },
+    });
+    console.log(`[QUEUE] Deferred job "${item.job.name}" to ${plan.startAt.toISOString()} — saves ~${plan.savings.toFixed(2)} EUR energy`);
+    if (global.io) global.io.emit('queue:updated', { type: 'JOB_DEFERRED', itemId: item.id, deferredUntil: plan.startAt, ...plan });
+    return true;
+}
+
+async function processQueue() {
+    if (!prismaClient || processing) return;
+    processing = true;
+
+    try {
+        // Nothing starts while the farm is emergency-stopped
+        if (await farmControlService.isHalted(prismaClient)) return;
+
+        // Energy budget — each start below is admitted against projected load
+        const settings = await prismaClient.energySettings.findUnique({ where: { id: 1 } });
+        const budget = {
+            snapshot: await energyBudgetService.snapshot(prismaClient, settings),
+            enforced: !!settings?.peakProtection,
+        };
+
+        // Find idle printers — overdue critical maintenance takes a printer out of rotation,
+        // a printing or paused job keeps it busy until the job ends
         const allPrinters = await prismaClient.printer.findMany({ where: { isActive: true } });
-        const idlePrinters = [];
+        const blocked = await maintenanceService.blockedPrinterIds(prismaClient);
+        const busy = await jobLifecycleService.busyPrinterIds(prismaClient);
+        const freePrinters = [];
 
         for (const printer of allPrinters) {
+            if (blocked.has(printer.id) || busy.has(printer.id)) continue;
             const latestTelemetry = await prismaClient.printerTelemetry.findFirst({
                 where: { printerId: printer.id },
                 orderBy: { recordedAt: 'desc' },
             });
             if (!latestTelemetry || latestTelemetry.status === 'idle' || latestTelemetry.status === 'offline') {
-                idlePrinters.push(printer);
+                freePrinters.push(printer);
             }
         }
 
+        // Slots planned by earlier runs first, then new work for printers nobody holds
+        const started = await startDueSlots(freePrinters, budget);
+        const reserved = await reservedPrinterIds(prismaClient);
+        const idlePrinters = freePrinters.filter(p => !started.has(p.id) && !reserved.has(p.id));
+
         if (idlePrinters.length === 0) return;
 
-        // Get unassigned queue items in priority order
-        const queueItems = await prismaClient.queueItem.findMany({
-            where: { status: 'queued', printerId: null },
-            include: { job: true },
-            orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }],
-            take: idlePrinters.length,
-        });
+        // Warmup staggering — each heat-up at least staggerDelayMin after the latest planned one
+        const staggerMs = settings?.warmupStaggering ? (settings.staggerDelayMin || 5) * 60 * 1000 : 0;
+        const latest = await prismaClient.queueItem.aggregate({ _max: { scheduledStartAt: true } });
+        let lastSlot = latest._max.scheduledStartAt;
+        const tariffs = await tariffService.loadSchedule(prismaClient);
 
-        if (queueItems.length === 0) return;
+        // Unassigned queue items in queue order (not those held for a cheaper window), a page at a
+        // time until every idle printer has work — a head of jobs nothing can run must not hide the rest
+        const seen = [];
+        pages: while (idlePrinters.length > 0) {
+            const queueItems = await prismaClient.queueItem.findMany({
+                where: {
+                    status: 'queued', printerId: null,
+                    OR: [{ deferredUntil: null }, { deferredUntil: { lte: new Date() } }],
+                    ...(seen.length && { id: { notIn: seen } }),
+                },
+                include: { job: { include: { gcodeFile: true } } },
+                orderBy: QUEUE_ORDER,
+                take: QUEUE_PAGE_SIZE,
+            });
+            if (queueItems.length === 0) break;
+            seen.push(...queueItems.map(i => i.id));
 
-        // Match queue items to idle printers
-        for (let i = 0; i < Math.min(queueItems.length, idlePrinters.length); i++) {
-            const item = queueItems[i];
-            const printer = idlePrinters[i];
+            // Give each job the first idle printer that can actually run it
+            for (const item of queueItems) {
+                if (idlePrinters.length === 0) break pages;
 
-            // Warmup staggering
-            if (settings?.warmupStaggering && i > 0) {
-                await new Promise(r => setTimeout(r, (settings.staggerDelayMin || 5) * 60 * 1000));
-            }
+                const index = idlePrinters.findIndex(p => capabilityService.isCompatible(item.job, p));
+                if (index === -1) {
+                    await noteNoCompatiblePrinter(item, allPrinters);
+                    continue;
+                }
+                if (await deferForTariff(item, idlePrinters[index], tariffs)) continue;
+                const [printer] = idlePrinters.splice(index, 1);
 
-            await prismaClient.queueItem.update({
-                where: { id: item.id },
-                data: { printerId: printer.id, status: 'assigned' },
-            });
+                const now = new Date();
+                const slot = staggerMs && lastSlot && lastSlot.getTime() + staggerMs > now.getTime()
+                    ? new Date(lastSlot.getTime() + staggerMs)
+                    : now;
+                lastSlot = slot;
 
-            await prismaClient.job.update({
-                where: { id: item.jobId },
-                data: { printerId: printer.id, status: 'printing', startedAt: new Date() },
-            });
+                if (slot <= now) {
+                    // Over budget — stop here so lower-priority jobs do not jump ahead (silently, retried next run)
+                    const { fits, profile } = await admit(budget, printer);
+                    if (!fits) break pages;
+                    await startOnPrinter(item, printer, slot, profile);
+                    continue;
+                }
 
-            console.log(`[QUEUE] Auto-assigned job "${item.job.name}" → printer "${printer.name}"`);
+                // Reserve the printer until the slot — a later run starts it
+                await prismaClient.queueItem.update({
+                    where: { id: item.id },
+                    data: { printerId: printer.id, status: 'scheduled', scheduledStartAt: slot, blockReason: null },
+                });
+                console.log(`[QUEUE] Scheduled job "${item.job.name}" → printer "${printer.name}" at ${slot.toISOString()}`);
+                if (global.io) global.io.emit('queue:updated', { type: 'JOB_SCHEDULED', itemId: item.id, printerId: printer.id, scheduledStartAt: slot });
+            }
+            if (queueItems.length < QUEUE_PAGE_SIZE) break;
         }
     } catch (err) {
         console.error('[QUEUE] Processing error:', err.message);
+    } finally {
+        processing = false;
     }
 }
 
@@ -84,7 +290,9 @@ async function restoreQueueState() {
         const orphans = await prismaClient.job.findMany({
             where: { status: 'printing', printerId: { not: null } },
         });
-        console.log(`[QUEUE] Restored ${orphans.length} in-progress jobs on startup`);
+        // Planned start slots are picked up by the next run (overdue ones start right away)
+        const slots = await prismaClient.queueItem.count({ where: { status: 'scheduled' } });
+        console.log(`[QUEUE] Restored ${orphans.length} in-progress jobs and ${slots} scheduled starts on startup`);
         return orphans.length;
     } catch (err) {
         console.error('[QUEUE] Restore error:', err.message);
@@ -103,4 +311,4 @@ function start(prisma) {
     cron.schedule('*/15 * * * * *', processQueue);
 }
 
-module.exports = { start, processQueue };
+module.exports = { start, processQueue, dispatchJob, reservedPrinterIds, QUEUE_ORDER };
@@ -0,0 +1,124 @@
+/**
+ * Schedule Projection
+ * Simulates the queue forward on every active printer to project when each job
+ * starts and ends, with the queue engine's assignment rules:
+ *   - running jobs end after their remaining time (printer's own estimate, else
+ *     estimatedTime scaled by telemetry progress, else estimatedTime minus time printed)
+ *   - scheduled items keep their reserved printer and slot
+ *   - queued items are taken in queue order (priority band, then earliest due date) and
+ *     go to the compatible printer that frees up first, not before a tariff hold ends
+ *   - with warmup staggering on, starts are at least staggerDelayMin apart
+ * Printers out of rotation for maintenance finish their running job but get no new work.
+ * Not modelled: energy admission (depends on live load) and a farm halt's duration —
+ * while halted, starts are projected as if the farm resumed now.
+ */
+const maintenanceService = require('./maintenanceService');
+const farmControlService = require('./farmControlService');
+const capabilityService = require('./capabilityService');
+const telemetryService = require('./telemetryService');
+const { ACTIVE_STATUSES } = require('./jobLifecycleService');
+const { QUEUE_ORDER } = require('./queueEngine');
+
+const MIN_MS = 60 * 1000;
+
+const later = (a, b) => (a > b ? a : b);
+
+// Time left on a printing or paused job, in ms
+function remainingMs(job, now) {
+    const telemetry = telemetryService.getLatest(job.printerId);
+    if (telemetry?.remainingSec != null) return telemetry.remainingSec * 1000;
+    if (!(job.estimatedTime > 0)) return 0;
+    if (telemetry?.progress > 0) return job.estimatedTime * MIN_MS * (100 - telemetry.progress) / 100;
+    if (!job.startedAt) return job.estimatedTime * MIN_MS;
+
+    const pausedMs = job.pausedSec * 1000 + (job.pausedAt ? now - job.pausedAt : 0);
+    const printedMs = now - job.startedAt - pausedMs;
+    return Math.max(0, job.estimatedTime * MIN_MS - printedMs);
+}
+
+function entry(job, kind, startAt, endAt, queueItemId = null) {
+    return {
+        kind, // running | scheduled | queued
+        jobId: job.id,
+        jobCode: job.jobCode,
+        name: job.name,
+        orderId: job.orderId || null,
+        queueItemId,
+        startAt,
+        endAt,
+        dueAt: job.dueAt || null,
+        late: !!job.dueAt && endAt > job.dueAt,
+        estimateMissing: !(job.estimatedTime > 0),
+    };
+}
+
+/**
+ * Projected schedule at `now`:
+ * { generatedAt, halted, lanes: [{ printer, acceptsWork, freeAt, entries[] }], unscheduled: [{ job, queueItemId, reason }] }
+ */
+async function simulate(prisma, now = new Date()) {
+    const printers = await prisma.printer.findMany({ where: { isActive: true }, orderBy: { id: 'asc' } });
+    const blocked = await maintenanceService.blockedPrinterIds(prisma);
+    const running = await prisma.job.findMany({ where: { status: { in: ACTIVE_STATUSES }, printerId: { not: null } } });
+    const items = await prisma.queueItem.findMany({
+        where: { status: { in: ['queued', 'scheduled', 'blocked'] } },
+        include: { job: { include: { gcodeFile: true } } },
+        orderBy: QUEUE_ORDER,
+    });
+    const settings = await prisma.energySettings.findUnique({ where: { id: 1 } });
+    const halted = await farmControlService.isHalted(prisma);
+
+    // Warmup staggering — a start goes to the first gap of staggerMs around every planned start
+    const staggerMs = settings?.warmupStaggering ? (settings.staggerDelayMin || 5) * MIN_MS : 0;
+    const latest = await prisma.queueItem.aggregate({ _max: { scheduledStartAt: true } });
+    const starts = latest._max.scheduledStartAt ? [latest._max.scheduledStartAt.getTime()] : [];
+    const staggered = (startAt) => {
+        let t = startAt.getTime();
+        for (let clash = staggerMs > 0; clash;) {
+            const hit = starts.find(s => Math.abs(t - s) < staggerMs);
+            if (hit === undefined) clash = false;
+            else t = hit + staggerMs;
+        }
+        starts.push(t);
+        return new Date(t);
+    };
+
+    const lanes = new Map(printers.map(p => [p.id, { printer: p, acceptsWork: !blocked.has(p.id), freeAt: now, entries: [] }]));
+    const place = (lane, e) => {
+        lane.entries.push(e);
+        lane.freeAt = later(lane.freeAt, e.endAt);
+    };
+
+    for (const job of running) {
+        const lane = lanes.get(job.printerId);
+        if (lane) place(lane, entry(job, 'running', job.startedAt || now, new Date(now.getTime() + remainingMs(job, now))));
+    }
+
+    // Reserved slots keep their printer
+    for (const item of items.filter(i => i.status === 'scheduled')) {
+        const lane = lanes.get(item.printerId);
+        if (!lane) continue;
+        const startAt = later(lane.freeAt, later(now, item.scheduledStartAt || now));
+        starts.push(startAt.getTime());
+        place(lane, entry(item.job, 'scheduled', startAt, new Date(startAt.getTime() + (item.job.estimatedTime || 0) * MIN_MS), item.id));
+    }
+
+    const unscheduled = items
+        .filter(i => i.status === 'blocked')
+        .map(i => ({ job: i.job, queueItemId: i.id, reason: i.blockReason || 'Blocked' }));
+    for (const item of items.filter(i => i.status === 'queued')) {
+        const notBefore = later(now, item.deferredUntil || now);
+        const candidates = [...lanes.values()].filter(l => l.acceptsWork && capabilityService.isCompatible(item.job, l.printer));
+        if (!candidates.length) {
+            unscheduled.push({ job: item.job, queueItemId: item.id, reason: 'No compatible printer in rotation' });
+            continue;
+        }
+        const lane = candidates.reduce((best, l) => (later(l.freeAt, notBefore) < later(best.freeAt, notBefore) ? l : best));
+        const startAt = staggered(later(lane.freeAt, notBefore));
+        place(lane, entry(item.job, 'queued', startAt, new Date(startAt.getTime() + (item.job.estimatedTime || 0) * MIN_MS), item.id));
+    }
+
+    return { generatedAt: now, halted, lanes: [...lanes.values()], unscheduled };
+}
+
+module.exports = { simulate };
@@ -0,0 +1,99 @@
+/**
+ * Spool Service
+ * Deducts job material from the loaded spool, fires MATERIAL_LOW when a loaded
+ * spool or the total stock of a material crosses its threshold, and reports
+ * filament runout from the printer's filament sensor.
+ */
+const alertService = require('./alertService');
+
+async function getSettings(prisma) {
+    let settings = await prisma.filamentSettings.findUnique({ where: { id: 1 } });
+    if (!settings) settings = await prisma.filamentSettings.create({ data: { id: 1 } });
+    return settings;
+}
+
+// Grams of a material still available (not empty/archived)
+async function stockGrams(prisma, material) {
+    const { _sum } = await prisma.spool.aggregate({
+        where: { material, status: { in: ['in_stock', 'loaded'] } },
+        _sum: { remainingGrams: true },
+    });
+    return _sum.remainingGrams || 0;
+}
+
+/**
+ * Fire MATERIAL_LOW when a spool or its material stock drops below threshold.
+ * Only on the crossing (before ≥ threshold > after), so alerts do not repeat.
+ */
+async function checkLowStock(prisma, spool, gramsBefore, printerName = null) {
+    const settings = await getSettings(prisma);
+    const label = [spool.brand, spool.material, spool.color].filter(Boolean).join(' ');
+
+    // "empty" too — a spool used up by a job is unloaded in the same step
+    if (['loaded', 'empty'].includes(spool.status) && gramsBefore >= settings.spoolLowGrams && spool.remainingGrams < settings.spoolLowGrams) {
+        await alertService.triggerAlert('MATERIAL_LOW', {
+            printer: printerName,
+            message: `Spool #${spool.id} (${label}) down to ${Math.round(spool.remainingGrams)} g`,
+        });
+    }
+
+    const after = await stockGrams(prisma, spool.material);
+    const before = after + (gramsBefore - spool.remainingGrams);
+    if (before >= settings.stockLowGrams && after < settings.stockLowGrams) {
+        await alertService.triggerAlert('MATERIAL_LOW', {
+            message: `${spool.material} stock down to ${Math.round(after)} g (threshold ${settings.stockLowGrams} g)`,
+        });
+    }
+}
+
+/**
+ * Deduct a finished job's weightGrams from the spool loaded on its printer.
+ * Idempotent — the job is claimed (spoolId set) in the same transaction as the
+ * deduction, so concurrent completions of one job deduct once. A spool that
+ * runs out is marked empty and unloaded.
+ */
+async function consumeForJob(job, prisma) {
+    if (!job.printerId || job.spoolId || !job.weightGrams) return null;
+
+    const spool = await prisma.spool.findFirst({ where: { printerId: job.printerId, status: 'loaded' } });
+    if (!spool) return null;
+
+    const updated = await prisma.$transaction(async (tx) => {
+        const claimed = await tx.job.updateMany({ where: { id: job.id, spoolId: null }, data: { spoolId: spool.id } });
+        if (claimed.count === 0) return null;
+
+        const deducted = await tx.spool.update({
+            where: { id: spool.id },
+            data: { remainingGrams: { decrement: job.weightGrams } },
+        });
+        if (deducted.remainingGrams > 0) return deducted;
+        return tx.spool.update({
+            where: { id: spool.id },
+            data: { remainingGrams: 0, status: 'empty', printerId: null, loadedAt: null },
+        });
+    });
+    if (!updated) return null;
+
+    const gramsBefore = updated.status === 'empty' ? spool.remainingGrams : updated.remainingGrams + job.weightGrams;
+    await checkLowStock(prisma, updated, gramsBefore, job.printer?.name);
+    if (global.io) {
+        global.io.emit('spool:updated', { spoolId: updated.id, remainingGrams: updated.remainingGrams, status: updated.status, printerId: job.printerId });
+    }
+    return updated;
+}
+
+// Filament sensor went from present to absent while the printer was reachable
+async function reportRunout(printer, prisma) {
+    const spool = await prisma.spool.findFirst({ where: { printerId: printer.id, status: 'loaded' } });
+    const message = spool
+        ? `Filament runout — spool #${spool.id} (${spool.material}${spool.color ? ' ' + spool.color : ''})`
+        : 'Filament runout detected by sensor';
+
+    await prisma.printerEvent.create({
+        data: { printerId: printer.id, level: 'WARN', code: 'FILAMENT_RUNOUT', message },
+    });
+    if (global.io) global.io.emit('printer:event', { printerId: printer.id, level: 'WARN', code: 'FILAMENT_RUNOUT', message });
+    await alertService.triggerAlert('MATERIAL_LOW', { printer: printer.name, message });
+}
+
+module.exports = { consumeForJob, reportRunout, checkLowStock, stockGrams, getSettings };
@@ -0,0 +1,118 @@
+/**
+ * Print Stall Detector
+ * Runs on every telemetry update. A printer that reports `printing` while neither
+ * progress nor Z height moves for PRINTER_STALL_MINUTES (clogged extruder, hung
+ * host) is flagged: PRINTER_STALLED event, socket event, PRINTER_ERROR alert and
+ * the active job is marked stalledAt. The flag clears when the print moves again.
+ */
+const alertService = require('./alertService');
+
+let prismaClient = null;
+let ioClient = null;
+
+const STALL_WINDOW_MS = (+process.env.PRINTER_STALL_MINUTES || 30) * 60 * 1000;
+const PROGRESS_EPSILON = 0.01; // percentage points
+const Z_EPSILON_MM = 0.01;
+
+// printerId → { progress, z, movedAt, rate, stalled }
+const state = new Map();
+const recovered = new Set(); // printers checked for a flag left from before a restart
+
+function moved(s, data) {
+    const progressMoved = Math.abs(data.progress - s.progress) >= PROGRESS_EPSILON;
+    const zMoved = data.zPosition != null && s.z != null && Math.abs(data.zPosition - s.z) >= Z_EPSILON_MM;
+    return progressMoved || zMoved;
+}
+
+async function activeJob(printerId) {
+    return prismaClient.job.findFirst({ where: { printerId, status: 'printing' }, orderBy: { startedAt: 'desc' } });
+}
+
+async function flagStall(printer, s, data) {
+    const minutes = Math.round((Date.now() - s.movedAt) / 60000);
+    const job = await activeJob(printer.id);
+    const message = `${job ? `Job ${job.jobCode} ` : ''}stuck at ${data.progress.toFixed(1)}%`
+        + `${data.zPosition != null ? `, Z ${data.zPosition.toFixed(2)} mm` : ''} for ${minutes} min`
+        + `${s.rate ? ` (was ${s.rate.toFixed(2)}%/min)` : ''}`;
+
+    if (job) await prismaClient.job.update({ where: { id: job.id }, data: { stalledAt: new Date() } });
+    await prismaClient.printerEvent.create({
+        data: { printerId: printer.id, level: 'ERROR', code: 'PRINTER_STALLED', message },
+    });
+    if (ioClient) {
+        ioClient.emit('printer:event', { printerId: printer.id, level: 'ERROR', code: 'PRINTER_STALLED', jobId: job?.id || null, message });
+    }
+    await alertService.triggerAlert('PRINTER_ERROR', { printer: printer.name, jobName: job?.name, message: `PRINTER_STALLED: ${message}` });
+}
+
+// The flagged job may be paused, cancelled or finished by now
+async function flaggedJob(printerId) {
+    return prismaClient.job.findFirst({ where: { printerId, stalledAt: { not: null } }, orderBy: { updatedAt: 'desc' } });
+}
+
+async function clearStall(printer, message) {
+    const job = await flaggedJob(printer.id);
+    if (job) await prismaClient.job.update({ where: { id: job.id }, data: { stalledAt: null } });
+    await prismaClient.printerEvent.create({
+        data: { printerId: printer.id, level: 'INFO', code: 'PRINTER_STALL_CLEARED', message },
+    });
+    if (ioClient) ioClient.emit('printer:event', { printerId: printer.id, level: 'INFO', code: 'PRINTER_STALL_CLEARED', jobId: job?.id || null });
+}
+
+/**
+ * Check one telemetry update. Only `printing` counts — pauses, idle and offline reset the clock.
+ */
+function evaluate(printer, data) {
+    if (!prismaClient) return Promise.resolve();
+    const now = Date.now();
+    const s = state.get(printer.id);
+
+    // An unreachable printer keeps its stall flag (and its state, so moving again clears it)
+    if (!data.isReachable && s?.stalled) return Promise.resolve();
+    if (!data.isReachable || data.status !== 'printing') {
+        state.delete(printer.id);
+        if (!data.isReachable) return Promise.resolve();
+        // Paused/cancelled by the operator, or done — after a restart only the database knows about the flag
+        if (!s && !recovered.has(printer.id)) {
+            recovered.add(printer.id);
+            return flaggedJob(printer.id)
+                .then(job => job && clearStall(printer, `Printer is ${data.status}`))
+                .catch(err => console.error(`[STALL] ${printer.name}:`, err.message));
+        }
+        if (!s?.stalled) return Promise.resolve();
+        return clearStall(printer, `Printer is ${data.status}`).catch(err => console.error(`[STALL] ${printer.name}:`, err.message));
+    }
+    if (!s) {
+        const fresh = { progress: data.progress, z: data.zPosition ?? null, movedAt: now, rate: 0, stalled: false };
+        state.set(printer.id, fresh);
+        recovered.add(printer.id);
+        // A job flagged before a restart stays flagged until it moves again
+        return activeJob(printer.id)
+            .then(job => { if (job?.stalledAt) fresh.stalled = true; })
+            .catch(err => console.error(`[STALL] ${printer.name}:`, err.message));
+    }
+
+    if (s.z == null && data.zPosition != null) s.z = data.zPosition;
+
+    if (moved(s, data)) {
+        const minutes = (now - s.movedAt) / 60000;
+        if (minutes > 0 && data.progress > s.progress) s.rate = (data.progress - s.progress) / minutes;
+        s.progress = data.progress;
+        s.z = data.zPosition ?? s.z;
+        s.movedAt = now;
+        if (!s.stalled) return Promise.resolve();
+        s.stalled = false;
+        return clearStall(printer, 'Print is progressing again').catch(err => console.error(`[STALL] ${printer.name}:`, err.message));
+    }
+
+    if (s.stalled || now - s.movedAt < STALL_WINDOW_MS) return Promise.resolve();
+    s.stalled = true;
+    return flagStall(printer, s, data).catch(err => console.error(`[STALL] ${printer.name}:`, err.message));
+}
+
+function init(prisma, io) {
+    prismaClient = prisma;
+    ioClient = io;
+}
+
+module.exports = { init, evaluate };
@@ -0,0 +1,124 @@
+/**
+ * Time-of-Use Tariffs
+ * Energy price over the week from TariffWindow rows (server local time), falling
+ * back to ProfitConfig.energyCostPerKwh outside every window. Used by the queue
+ * engine to hold flexible low-priority jobs until the cheapest start within
+ * their deferral window and deadline.
+ */
+const WEEK_MIN = 7 * 24 * 60;
+const QUARTER_MS = 15 * 60 * 1000;
+const STEP_MS = 5 * 60 * 1000;          // cost integration step
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const MIN_SAVING = +process.env.TARIFF_MIN_SAVING || 0.05;             // EUR — smaller savings start right away
+const DEADLINE_MARGIN_MS = (+process.env.TARIFF_DEADLINE_MARGIN_MIN || 30) * 60 * 1000;
+
+const toMinutes = (hhmm) => {
+    const [, h, m] = TIME_PATTERN.exec(hhmm);
+    return +h * 60 + +m;
+};
+
+const parseDays = (days) => String(days).split(',').filter(d => d !== '').map(Number);
+
+// Week-minute ranges [from, to) — `to` may pass the end of the week (Saturday night → Sunday)
+function ranges(window) {
+    const start = toMinutes(window.startTime);
+    let end = toMinutes(window.endTime);
+    if (end <= start) end += 24 * 60;
+    return parseDays(window.days).map(day => ({ from: day * 1440 + start, to: day * 1440 + end }));
+}
+
+/**
+ * Validate a tariff schedule. Returns an error message or null.
+ * Windows must not overlap — one price at any minute of the week.
+ */
+function validate(windows) {
+    if (!Array.isArray(windows)) return 'windows must be an array';
+    for (const [i, w] of windows.entries()) {
+        if (!w.name) return `Window ${i + 1}: name required`;
+        if (!TIME_PATTERN.test(w.startTime || '') || !TIME_PATTERN.test(w.endTime || '')) return `Window "${w.name}": startTime and endTime must be HH:MM`;
+        const days = parseDays(w.days ?? '0,1,2,3,4,5,6');
+        if (!days.length || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) return `Window "${w.name}": days must be 0-6 (0 = Sunday)`;
+        if (typeof w.pricePerKwh !== 'number' || !(w.pricePerKwh >= 0)) return `Window "${w.name}": pricePerKwh must be a number >= 0`;
+    }
+    const all = windows.flatMap(w => ranges({ ...w, days: w.days ?? '0,1,2,3,4,5,6' }).map(r => ({ ...r, name: w.name })));
+    for (let i = 0; i < all.length; i++) {
+        for (let j = i + 1; j < all.length; j++) {
+            const [a, b] = [all[i], all[j]];
+            const overlaps = [0, WEEK_MIN, -WEEK_MIN].some(shift => a.from < b.to + shift && b.from + shift < a.to);
+            if (overlaps) return `Windows "${a.name}" and "${b.name}" overlap`;
+        }
+    }
+    return null;
+}
+
+// Compiled schedule: { ranges, flatPrice }
+function compile(windows, flatPrice) {
+    return {
+        ranges: windows.flatMap(w => ranges(w).map(r => ({ ...r, price: w.pricePerKwh }))),
+        flatPrice,
+    };
+}
+
+function priceAt(schedule, date) {
+    const minute = date.getDay() * 1440 + date.getHours() * 60 + date.getMinutes();
+    const hit = schedule.ranges.find(r => (minute >= r.from && minute < r.to) || (minute + WEEK_MIN >= r.from && minute + WEEK_MIN < r.to));
+    return hit ? hit.price : schedule.flatPrice;
+}
+
+// EUR for `kw` drawn from `start` for `durationMin`
+function energyCost(schedule, start, durationMin, kw) {
+    const end = start.getTime() + durationMin * 60 * 1000;
+    let cost = 0;
+    for (let t = start.getTime(); t < end; t += STEP_MS) {
+        const ms = Math.min(STEP_MS, end - t);
+        cost += priceAt(schedule, new Date(t)) * kw * (ms / 3600000);
+    }
+    return cost;
+}
+
+/**
+ * Cheapest start for a job between now and its latest allowed start.
+ * { startAt, costNow, cost, savings } — startAt is `now` unless a later
+ * quarter-hour saves at least TARIFF_MIN_SAVING.
+ */
+function cheapestStart(schedule, { now = new Date(), durationMin, kw, latestStart }) {
+    const costNow = energyCost(schedule, now, durationMin, kw);
+    let best = { startAt: now, cost: costNow };
+
+    for (let t = Math.ceil(now.getTime() / QUARTER_MS) * QUARTER_MS; t <= latestStart.getTime(); t += QUARTER_MS) {
+        const cost = energyCost(schedule, new Date(t), durationMin, kw);
+        if (cost < best.cost - 1e-9) best = { startAt: new Date(t), cost };
+    }
+    const savings = costNow - best.cost;
+    if (savings < MIN_SAVING) best = { startAt: now, cost: costNow };
+
+    return {
+        startAt: best.startAt,
+        costNow: +costNow.toFixed(4),
+        cost: +best.cost.toFixed(4),
+        savings: +(costNow - best.cost).toFixed(4),
+    };
+}
+
+/**
+ * Latest start that keeps a job inside its flexibility (counted from when it was
+ * queued, so a hold is never extended) and deadline, or null when it cannot be
+ * held at all (not flexible, no estimate, deadline too close).
+ */
+function latestStartFor(job, queuedAt, now = new Date()) {
+    if (!(job.maxDeferMin > 0) || !(job.estimatedTime > 0)) return null;
+    let latest = new Date(queuedAt).getTime() + job.maxDeferMin * 60 * 1000;
+    if (job.dueAt) latest = Math.min(latest, new Date(job.dueAt).getTime() - job.estimatedTime * 60 * 1000 - DEADLINE_MARGIN_MS);
+    return latest > now.getTime() ? new Date(latest) : null;
+}
+
+// Current schedule from the database (null when no windows are defined)
+async function loadSchedule(prisma) {
+    const windows = await prisma.tariffWindow.findMany({ orderBy: { id: 'asc' } });
+    if (!windows.length) return null;
+    const config = await prisma.profitConfig.findUnique({ where: { id: 1 } });
+    return compile(windows, config?.energyCostPerKwh ?? 0.28);
+}
+
+module.exports = { validate, compile, priceAt, energyCost, cheapestStart, latestStartFor, loadSchedule };
@@ -0,0 +1,111 @@
+/**
+ * Signed Telemetry Push
+ * Printers behind NAT run a small edge agent that POSTs telemetry to
+ * /api/telemetry/push/:printerId. Every request carries
+ *   X-Timestamp  unix seconds
+ *   X-Nonce      random string, 8-64 chars, never reused
+ *   X-Signature  hex HMAC-SHA256(pushSecret, `${timestamp}.${nonce}.${rawBody}`)
+ * Requests outside TELEMETRY_PUSH_MAX_SKEW_SEC, with a nonce already seen in
+ * that window, or not newer than the last accepted one are rejected.
+ */
+const crypto = require('crypto');
+
+const MAX_SKEW_MS = (+process.env.TELEMETRY_PUSH_MAX_SKEW_SEC || 300) * 1000;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const STATUSES = ['idle', 'printing', 'paused', 'error', 'offline'];
+
+// printerId → { nonces: Map(nonce → expiresAt), lastTimestamp }
+const seen = new Map();
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function sign(secret, timestamp, nonce, rawBody) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.${rawBody}`).digest('hex');
+}
+
+function signatureMatches(expected, given) {
+    const a = Buffer.from(expected, 'hex');
+    const b = Buffer.from(String(given || '').replace(/^sha256=/, ''), 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check signature, clock skew and replay. Returns an error message, or null when
+ * the request is authentic (its nonce is then burned).
+ */
+function verify(printer, headers, rawBody) {
+    const timestamp = headers['x-timestamp'];
+    const nonce = headers['x-nonce'];
+    if (!/^\d+$/.test(timestamp || '') || !NONCE_PATTERN.test(nonce || '') || !headers['x-signature']) {
+        return 'Missing or malformed X-Timestamp, X-Nonce or X-Signature';
+    }
+    if (!signatureMatches(sign(printer.pushSecret, timestamp, nonce, rawBody), headers['x-signature'])) {
+        return 'Invalid signature';
+    }
+
+    const now = Date.now();
+    const sentAt = +timestamp * 1000;
+    if (Math.abs(now - sentAt) > MAX_SKEW_MS) return 'Timestamp outside the allowed clock skew';
+
+    if (!seen.has(printer.id)) seen.set(printer.id, { nonces: new Map(), lastTimestamp: 0 });
+    const s = seen.get(printer.id);
+    for (const [n, expiresAt] of s.nonces) if (expiresAt < now) s.nonces.delete(n);
+
+    if (s.nonces.has(nonce)) return 'Replayed request';
+    // Older than what was already accepted — a delayed or replayed reading
+    if (sentAt < s.lastTimestamp) return 'Timestamp older than the last accepted request';
+
+    s.nonces.set(nonce, sentAt + MAX_SKEW_MS);
+    s.lastTimestamp = sentAt;
+    return null;
+}
+
+/**
+ * Reading from a pushed body, in the driver fetchTelemetry shape.
+ * { reachable: false, error } means the agent could not reach the printer.
+ * Throws on malformed input.
+ */
+function parseReading(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('Body must be a JSON object');
+    if (body.reachable === false) return { reading: null, reason: body.error ? String(body.error).slice(0, 191) : null };
+
+    const number = (key, fallback) => {
+        const value = body[key] ?? fallback;
+        if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`${key} must be a number`);
+        return value;
+    };
+    const optional = (key) => (body[key] == null ? null : number(key));
+    if (!STATUSES.includes(body.status)) throw new Error(`status must be one of: ${STATUSES.join(', ')}`);
+
+    return {
+        reading: {
+            extruderTemp: number('extruderTemp'),
+            extruderTarget: number('extruderTarget', 0),
+            bedTemp: number('bedTemp'),
+            bedTarget: number('bedTarget', 0),
+            progress: Math.min(100, Math.max(0, number('progress', 0))),
+            status: body.status,
+            filamentPresent: body.filamentPresent !== false,
+            fanRpm: number('fanRpm', 0),
+            chamberTemp: number('chamberTemp', 0),
+            posX: optional('posX'),
+            posY: optional('posY'),
+            zPosition: optional('zPosition'),
+            currentLayer: optional('currentLayer'),
+            totalLayers: optional('totalLayers'),
+            filamentUsedMm: number('filamentUsedMm', 0),
+            printDurationSec: number('printDurationSec', 0),
+            remainingSec: optional('remainingSec'),
+        },
+        reason: null,
+    };
+}
+
+// Drop replay state when a printer's secret changes
+function forget(printerId) {
+    seen.delete(printerId);
+}
+
+module.exports = { generateSecret, sign, verify, parseReading, forget };
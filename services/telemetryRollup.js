@@ -0,0 +1,316 @@
+/**
+ * Telemetry Rollup & Retention
+ * Every minute: raw PrinterTelemetry → 1-minute buckets → hourly buckets.
+ * Every hour: prune raw rows and 1-minute buckets past their retention window
+ * (only data that has already been rolled up is deleted).
+ *
+ * Raw rows are sparse (written on change or heartbeat), so every value is held
+ * until the next row — averages, energy and status durations are time-weighted.
+ */
+const cron = require('node-cron');
+
+let prismaClient = null;
+let running = false;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const RAW_RETENTION_MS = (+process.env.TELEMETRY_RAW_RETENTION_HOURS || 48) * HOUR_MS;
+const MINUTE_RETENTION_MS = (+process.env.TELEMETRY_MINUTE_RETENTION_DAYS || 30) * DAY_MS;
+const HOURLY_RETENTION_MS = (+process.env.TELEMETRY_HOURLY_RETENTION_DAYS || 0) * DAY_MS; // 0 = keep forever
+
+const MAX_HOLD_MS = 5 * MINUTE_MS;       // a row older than this no longer describes the printer
+const MINUTE_CATCH_UP_MS = 6 * HOUR_MS;  // per printer per run
+const HOUR_CATCH_UP_MS = 7 * DAY_MS;
+
+const RAW_MAX_POINTS = 5000;
+
+function floorTo(ms, size) {
+    return Math.floor(ms / size) * size;
+}
+
+// ─── Bucket Accumulator ───────────────────────────────────────
+function emptyBucket(start) {
+    const metric = () => ({ min: Infinity, max: -Infinity, sum: 0 });
+    return {
+        start, samples: 0, coveredMs: 0, progressMax: 0, energySum: 0, status: {},
+        extruder: metric(), bed: metric(), chamber: metric(),
+    };
+}
+
+function addValue(metric, value, ms) {
+    metric.min = Math.min(metric.min, value);
+    metric.max = Math.max(metric.max, value);
+    metric.sum += value * ms;
+}
+
+function addSegment(bucket, row, ms) {
+    bucket.coveredMs += ms;
+    addValue(bucket.extruder, row.extruderTemp, ms);
+    addValue(bucket.bed, row.bedTemp, ms);
+    addValue(bucket.chamber, row.chamberTemp, ms);
+    bucket.energySum += row.energyDraw * ms;
+    bucket.progressMax = Math.max(bucket.progressMax, row.progress);
+    bucket.status[row.status] = (bucket.status[row.status] || 0) + ms;
+}
+
+function toRollup(bucket, printerId, resolution) {
+    const avg = (m) => (bucket.coveredMs ? +(m.sum / bucket.coveredMs).toFixed(2) : 0);
+    const fin = (v) => (Number.isFinite(v) ? +v.toFixed(2) : 0);
+    return {
+        printerId,
+        resolution,
+        bucketStart: new Date(bucket.start),
+        samples: bucket.samples,
+        coveredSec: Math.round(bucket.coveredMs / 1000),
+        extruderMin: fin(bucket.extruder.min), extruderMax: fin(bucket.extruder.max), extruderAvg: avg(bucket.extruder),
+        bedMin: fin(bucket.bed.min), bedMax: fin(bucket.bed.max), bedAvg: avg(bucket.bed),
+        chamberMin: fin(bucket.chamber.min), chamberMax: fin(bucket.chamber.max), chamberAvg: avg(bucket.chamber),
+        energyAvgKw: bucket.coveredMs ? +(bucket.energySum / bucket.coveredMs).toFixed(3) : 0,
+        energyKwh: +(bucket.energySum / HOUR_MS).toFixed(6), // kW·ms → kWh
+        progressMax: fin(bucket.progressMax),
+        statusDurations: JSON.stringify(Object.fromEntries(
+            Object.entries(bucket.status).map(([status, ms]) => [status, Math.round(ms / 1000)])
+        )),
+    };
+}
+
+// ─── Raw → 1 minute ───────────────────────────────────────────
+async function rollupMinutes(printerId) {
+    const last = await prismaClient.printerTelemetryRollup.findFirst({
+        where: { printerId, resolution: '1m' },
+        orderBy: { bucketStart: 'desc' },
+    });
+    const resumeAt = last ? last.bucketStart.getTime() + MINUTE_MS : 0;
+
+    const firstRow = await prismaClient.printerTelemetry.findFirst({
+        where: { printerId, recordedAt: { gte: new Date(resumeAt) } },
+        orderBy: { recordedAt: 'asc' },
+    });
+    if (!firstRow) return 0;
+
+    // Skip over gaps with no data at all (server or printer was down)
+    const firstMinute = floorTo(firstRow.recordedAt.getTime(), MINUTE_MS);
+    const from = last && firstMinute - resumeAt <= MAX_HOLD_MS ? resumeAt : firstMinute;
+    const to = Math.min(floorTo(Date.now(), MINUTE_MS), from + MINUTE_CATCH_UP_MS);
+    if (to <= from) return 0;
+
+    const [prev, rows] = await Promise.all([
+        prismaClient.printerTelemetry.findFirst({
+            where: { printerId, recordedAt: { lt: new Date(from) } },
+            orderBy: { recordedAt: 'desc' },
+        }),
+        prismaClient.printerTelemetry.findMany({
+            where: { printerId, recordedAt: { gte: new Date(from), lt: new Date(to) } },
+            orderBy: { recordedAt: 'asc' },
+        }),
+    ]);
+
+    const buckets = new Map();
+    const bucketAt = (t) => {
+        const start = floorTo(t, MINUTE_MS);
+        if (!buckets.has(start)) buckets.set(start, emptyBucket(start));
+        return buckets.get(start);
+    };
+
+    const points = prev ? [prev, ...rows] : rows;
+    points.forEach((row, i) => {
+        const t = row.recordedAt.getTime();
+        const next = points[i + 1] ? points[i + 1].recordedAt.getTime() : to;
+        const end = Math.min(next, t + MAX_HOLD_MS, to);
+        let cursor = Math.max(t, from);
+
+        if (row !== prev) bucketAt(t).samples++;
+        if (cursor >= end) {
+            if (row !== prev) addSegment(bucketAt(t), row, 0);
+            return;
+        }
+
+        // Split the held interval at minute boundaries
+        while (cursor < end) {
+            const bucketEnd = floorTo(cursor, MINUTE_MS) + MINUTE_MS;
+            const segEnd = Math.min(bucketEnd, end);
+            addSegment(bucketAt(cursor), row, segEnd - cursor);
+            cursor = segEnd;
+        }
+    });
+
+    const data = [...buckets.values()].map(b => toRollup(b, printerId, '1m'));
+    if (data.length) {
+        await prismaClient.printerTelemetryRollup.createMany({ data, skipDuplicates: true });
+    }
+    return data.length;
+}
+
+// ─── 1 minute → 1 hour ────────────────────────────────────────
+async function rollupHours(printerId) {
+    const last = await prismaClient.printerTelemetryRollup.findFirst({
+        where: { printerId, resolution: '1h' },
+        orderBy: { bucketStart: 'desc' },
+    });
+    const resumeAt = last ? last.bucketStart.getTime() + HOUR_MS : 0;
+
+    const [firstMinute, lastMinute] = await Promise.all([
+        prismaClient.printerTelemetryRollup.findFirst({
+            where: { printerId, resolution: '1m', bucketStart: { gte: new Date(resumeAt) } },
+            orderBy: { bucketStart: 'asc' },
+        }),
+        prismaClient.printerTelemetryRollup.findFirst({
+            where: { printerId, resolution: '1m' },
+            orderBy: { bucketStart: 'desc' },
+        }),
+    ]);
+    if (!firstMinute) return 0;
+
+    // Only close hours whose minutes are all rolled up
+    const minutesDoneTo = floorTo(lastMinute.bucketStart.getTime() + MINUTE_MS, HOUR_MS);
+    const from = Math.max(resumeAt, floorTo(firstMinute.bucketStart.getTime(), HOUR_MS));
+    const to = Math.min(floorTo(Date.now(), HOUR_MS), minutesDoneTo, from + HOUR_CATCH_UP_MS);
+    if (to <= from) return 0;
+
+    const minutes = await prismaClient.printerTelemetryRollup.findMany({
+        where: { printerId, resolution: '1m', bucketStart: { gte: new Date(from), lt: new Date(to) } },
+        orderBy: { bucketStart: 'asc' },
+    });
+
+    const hours = new Map();
+    for (const m of minutes) {
+        const start = floorTo(m.bucketStart.getTime(), HOUR_MS);
+        if (!hours.has(start)) hours.set(start, []);
+        hours.get(start).push(m);
+    }
+
+    const data = [...hours.entries()].map(([start, rows]) => {
+        const coveredSec = rows.reduce((s, r) => s + r.coveredSec, 0);
+        const weighted = (key) => (coveredSec ? +(rows.reduce((s, r) => s + r[key] * r.coveredSec, 0) / coveredSec).toFixed(2) : 0);
+        const status = {};
+        for (const r of rows) {
+            for (const [k, sec] of Object.entries(JSON.parse(r.statusDurations || '{}'))) {
+                status[k] = (status[k] || 0) + sec;
+            }
+        }
+        return {
+            printerId,
+            resolution: '1h',
+            bucketStart: new Date(start),
+            samples: rows.reduce((s, r) => s + r.samples, 0),
+            coveredSec,
+            extruderMin: Math.min(...rows.map(r => r.extruderMin)),
+            extruderMax: Math.max(...rows.map(r => r.extruderMax)),
+            extruderAvg: weighted('extruderAvg'),
+            bedMin: Math.min(...rows.map(r => r.bedMin)),
+            bedMax: Math.max(...rows.map(r => r.bedMax)),
+            bedAvg: weighted('bedAvg'),
+            chamberMin: Math.min(...rows.map(r => r.chamberMin)),
+            chamberMax: Math.max(...rows.map(r => r.chamberMax)),
+            chamberAvg: weighted('chamberAvg'),
+            energyAvgKw: coveredSec ? +(rows.reduce((s, r) => s + r.energyAvgKw * r.coveredSec, 0) / coveredSec).toFixed(3) : 0,
+            energyKwh: +rows.reduce((s, r) => s + r.energyKwh, 0).toFixed(6),
+            progressMax: Math.max(...rows.map(r => r.progressMax)),
+            statusDurations: JSON.stringify(status),
+        };
+    });
+
+    if (data.length) {
+        await prismaClient.printerTelemetryRollup.createMany({ data, skipDuplicates: true });
+    }
+    return data.length;
+}
+
+async function runRollup() {
+    if (!prismaClient || running) return;
+    running = true;
+    try {
+        const printers = await prismaClient.printer.findMany({ select: { id: true } });
+        for (const { id } of printers) {
+            await rollupMinutes(id);
+            await rollupHours(id);
+        }
+    } catch (err) {
+        console.error('[ROLLUP] Error:', err.message);
+    } finally {
+        running = false;
+    }
+}
+
+// ─── Retention ────────────────────────────────────────────────
+// Only delete what the next tier already covers
+async function pruneTier(printerId, coveringResolution, cutoff, deleteOlder) {
+    const covered = await prismaClient.printerTelemetryRollup.findFirst({
+        where: { printerId, resolution: coveringResolution },
+        orderBy: { bucketStart: 'desc' },
+    });
+    if (!covered) return 0;
+    const limit = new Date(Math.min(cutoff, covered.bucketStart.getTime()));
+    const { count } = await deleteOlder(limit);
+    return count;
+}
+
+async function runRetention() {
+    if (!prismaClient) return;
+    try {
+        const now = Date.now();
+        const printers = await prismaClient.printer.findMany({ select: { id: true } });
+        let raw = 0;
+        let minute = 0;
+
+        for (const { id } of printers) {
+            raw += await pruneTier(id, '1m', now - RAW_RETENTION_MS, (limit) => (
+                prismaClient.printerTelemetry.deleteMany({ where: { printerId: id, recordedAt: { lt: limit } } })
+            ));
+            minute += await pruneTier(id, '1h', now - MINUTE_RETENTION_MS, (limit) => (
+                prismaClient.printerTelemetryRollup.deleteMany({ where: { printerId: id, resolution: '1m', bucketStart: { lt: limit } } })
+            ));
+        }
+
+        if (HOURLY_RETENTION_MS) {
+            await prismaClient.printerTelemetryRollup.deleteMany({
+                where: { resolution: '1h', bucketStart: { lt: new Date(now - HOURLY_RETENTION_MS) } },
+            });
+        }
+
+        if (raw || minute) console.log(`[ROLLUP] Retention pruned ${raw} raw rows, ${minute} minute buckets`);
+    } catch (err) {
+        console.error('[ROLLUP] Retention error:', err.message);
+    }
+}
+
+// ─── Query ────────────────────────────────────────────────────
+// Pick the finest tier that still holds the whole range and keeps the point count sane
+function pickResolution(from, to) {
+    const now = Date.now();
+    const span = to - from;
+    if (from >= now - RAW_RETENTION_MS && span <= 6 * HOUR_MS) return 'raw';
+    if (from >= now - MINUTE_RETENTION_MS && span <= 7 * DAY_MS) return '1m';
+    return '1h';
+}
+
+async function queryTelemetry(prisma, printerId, from, to, resolution = 'auto') {
+    const tier = resolution === 'auto' ? pickResolution(from.getTime(), to.getTime()) : resolution;
+
+    if (tier === 'raw') {
+        const points = await prisma.printerTelemetry.findMany({
+            where: { printerId, recordedAt: { gte: from, lte: to } },
+            orderBy: { recordedAt: 'asc' },
+            take: RAW_MAX_POINTS,
+        });
+        return { resolution: 'raw', points };
+    }
+
+    const rows = await prisma.printerTelemetryRollup.findMany({
+        where: { printerId, resolution: tier, bucketStart: { gte: from, lte: to } },
+        orderBy: { bucketStart: 'asc' },
+    });
+    const points = rows.map(r => ({ ...r, statusDurations: JSON.parse(r.statusDurations || '{}') }));
+    return { resolution: tier, points };
+}
+
+function start(prisma) {
+    prismaClient = prisma;
+    console.log('[ROLLUP] Telemetry rollups every minute, retention hourly');
+    cron.schedule('10 * * * * *', runRollup);
+    cron.schedule('30 7 * * * *', runRetention);
+}
+
+module.exports = { start, runRollup, runRetention, queryTelemetry };
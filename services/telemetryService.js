@@ -1,71 +1,116 @@
 /**
  * Telemetry Service
- * Polls each printer every 5-10 seconds via HTTP (Moonraker/Klipper API)
- * Falls back to simulated data if printer is unreachable
+ * Moonraker printers stream status over a persistent websocket (sub-second updates);
+ * all other drivers are polled in parallel every 5-10 seconds. Printers in push
+ * mode (behind NAT) post signed telemetry through ingestPush instead.
+ * Latest state is kept in memory — the DB only gets a row on a meaningful
+ * change or once per heartbeat interval.
  */
-const axios = require('axios');
+const EventEmitter = require('events');
+const drivers = require('./drivers');
+const thermalWatchdog = require('./thermalWatchdog');
+const stallDetector = require('./stallDetector');
+const printerStateService = require('./printerStateService');
+const spoolService = require('./spoolService');
 
 let prismaClient = null;
 let ioClient = null;
 let intervalId = null;
 
 const POLL_INTERVAL_MS = 7000; // 7 seconds (PRD: 5-10s)
+const HEARTBEAT_MS = (+process.env.TELEMETRY_HEARTBEAT_SEC || 60) * 1000;
+const USE_WEBSOCKET = process.env.MOONRAKER_WEBSOCKET !== 'false';
+const PUSH_STALE_MS = (+process.env.TELEMETRY_PUSH_STALE_SEC || 30) * 1000;
+
+// What counts as a meaningful change worth a DB row
+const TEMP_DELTA_C = 2;
+const PROGRESS_DELTA = 1;
+
+// In-process feed of every telemetry update (used to confirm printer commands)
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const printerCache = new Map();  // printerId → printer row (refreshed every cycle)
+const latest = new Map();        // printerId → last telemetry
+const lastSaved = new Map();     // printerId → { data, at }
+const streams = new Map();       // printerId → { handle, signature, lastReading }
+const pushes = new Map();        // printerId → { data, at } — last pushed telemetry
+let startedAt = Date.now();
+
+function offlineTelemetry(printer, reason) {
+    return {
+        printerId: printer.id,
+        extruderTemp: 0,
+        extruderTarget: 0,
+        bedTemp: 0,
+        bedTarget: 0,
+        progress: 0,
+        status: 'offline',
+        filamentPresent: false,
+        fanRpm: 0,
+        chamberTemp: 0,
+        posX: null,
+        posY: null,
+        zPosition: null,
+        currentLayer: null,
+        totalLayers: null,
+        filamentUsedMm: 0,
+        printDurationSec: 0,
+        remainingSec: null,
+        jobState: null,
+        filename: null,
+        energyDraw: 0,
+        error: reason,
+        isReachable: false,
+    };
+}
+
+// Drivers without their own estimate: extrapolate from time printed so far
+function remainingSec(reading) {
+    if (reading.remainingSec != null) return Math.max(0, Math.round(reading.remainingSec));
+    if (!['printing', 'paused'].includes(reading.status) || !reading.printDurationSec || reading.progress < 1) return null;
+    return Math.round(reading.printDurationSec * (100 - reading.progress) / reading.progress);
+}
+
+function toTelemetry(printer, reading) {
+    return {
+        printerId: printer.id,
+        extruderTemp: reading.extruderTemp,
+        extruderTarget: reading.extruderTarget || 0,
+        bedTemp: reading.bedTemp,
+        bedTarget: reading.bedTarget || 0,
+        progress: reading.progress,
+        status: reading.status,
+        filamentPresent: reading.filamentPresent,
+        fanRpm: reading.fanRpm,
+        chamberTemp: reading.chamberTemp || 0,
+        posX: reading.posX ?? null,
+        posY: reading.posY ?? null,
+        zPosition: reading.zPosition ?? null,
+        currentLayer: reading.currentLayer != null ? Math.round(reading.currentLayer) : null,
+        totalLayers: reading.totalLayers ? Math.round(reading.totalLayers) : null,
+        filamentUsedMm: reading.filamentUsedMm || 0,
+        printDurationSec: Math.round(reading.printDurationSec || 0),
+        remainingSec: remainingSec(reading),
+        jobState: reading.jobState ?? null,
+        filename: reading.filename ?? null,
+        energyDraw: calculateEnergyDraw(reading.extruderTemp, reading.bedTemp, printer.energyRating),
+        error: null,
+        isReachable: true,
+    };
+}
 
 async function pollPrinter(printer) {
+    const driver = drivers.getDriver(printer.driver);
     try {
-        // Try to reach Moonraker API (standard for Klipper-based printers)
-        const response = await axios.get(
-            `http://${printer.ipAddress}/printer/objects/query?extruder&heater_bed&print_stats&display_status&fan`,
-            { timeout: 3000 }
-        );
-
-        const data = response.data?.result?.status || {};
-        const extruder = data.extruder || {};
-        const bed = data.heater_bed || {};
-        const printStats = data.print_stats || {};
-        const fan = data.fan || {};
-
-        const telemetry = {
-            printerId: printer.id,
-            extruderTemp: extruder.temperature || 0,
-            bedTemp: bed.temperature || 0,
-            progress: (printStats.progress || 0) * 100,
-            status: mapKlipperStatus(printStats.state),
-            filamentPresent: true, // Would need filament sensor endpoint
-            fanRpm: Math.round((fan.speed || 0) * 5000),
-            energyDraw: calculateEnergyDraw(extruder.temperature, bed.temperature, printer.energyRating),
-        };
-
-        return { ...telemetry, error: null, isReachable: true };
+        if (!driver) throw new Error(`Unknown driver '${printer.driver}'`);
+        return toTelemetry(printer, await driver.fetchTelemetry(printer));
     } catch (err) {
         // Printer unreachable — return offline status
-        return {
-            printerId: printer.id,
-            extruderTemp: 0,
-            bedTemp: 0,
-            progress: 0,
-            status: 'offline',
-            filamentPresent: false,
-            fanRpm: 0,
-            energyDraw: 0,
-            error: err.message,
-            isReachable: false,
-        };
+        return offlineTelemetry(printer, err.message);
     }
 }
 
-function mapKlipperStatus(state) {
-    const map = {
-        printing: 'printing',
-        paused: 'paused',
-        standby: 'idle',
-        complete: 'idle',
-        cancelled: 'idle',
-        error: 'error',
-    };
-    return map[state] || 'offline';
-}
-
 function calculateEnergyDraw(extruderTemp, bedTemp, baseRating) {
     // Estimated kW based on heater temperatures
     if (extruderTemp < 50 && bedTemp < 30) return 0.05; // standby
@@ -74,74 +119,161 @@ function calculateEnergyDraw(extruderTemp, bedTemp, baseRating) {
     return +(baseRating * 0.6 + extruderLoad + bedLoad).toFixed(3);
 }
 
+function isMeaningfulChange(prev, data) {
+    if (!prev) return true;
+    return prev.status !== data.status
+        || prev.filamentPresent !== data.filamentPresent
+        || prev.currentLayer !== data.currentLayer
+        || Math.abs(prev.extruderTemp - data.extruderTemp) >= TEMP_DELTA_C
+        || Math.abs(prev.bedTemp - data.bedTemp) >= TEMP_DELTA_C
+        || Math.abs(prev.progress - data.progress) >= PROGRESS_DELTA;
+}
+
+// Single pipeline for polled and streamed telemetry
+async function handleTelemetry(printer, data) {
+    // A single failed check does not take the printer offline
+    if (!printerStateService.observe(printer, data)) return;
+
+    const prev = latest.get(printer.id);
+    latest.set(printer.id, data);
+    events.emit('telemetry', data);
+
+    // Emit real-time update via WebSocket
+    if (ioClient) {
+        ioClient.emit('printer:telemetry', {
+            printerId: printer.id,
+            name: printer.name,
+            ...data,
+        });
+        ioClient.to(`printer:${printer.id}`).emit('printer:telemetry', {
+            printerId: printer.id,
+            name: printer.name,
+            ...data,
+        });
+    }
+
+    // Safety checks see every update, not only the persisted ones
+    thermalWatchdog.evaluate(printer, data);
+    stallDetector.evaluate(printer, data);
+
+    // Runout — sensor lost filament while the printer stayed reachable
+    if (prev?.isReachable && data.isReachable && prev.filamentPresent && !data.filamentPresent) {
+        spoolService.reportRunout(printer, prismaClient)
+            .catch(err => console.error(`[TELEMETRY] ${printer.name} runout:`, err.message));
+    }
+
+    const saved = lastSaved.get(printer.id);
+    if (!isMeaningfulChange(saved?.data, data) && Date.now() - saved.at < HEARTBEAT_MS) return;
+    lastSaved.set(printer.id, { data, at: Date.now() });
+
+    // Save telemetry to DB
+    await prismaClient.printerTelemetry.create({
+        data: {
+            printerId: data.printerId,
+            extruderTemp: data.extruderTemp,
+            bedTemp: data.bedTemp,
+            progress: data.progress,
+            status: data.status,
+            filamentPresent: data.filamentPresent,
+            fanRpm: data.fanRpm,
+            energyDraw: data.energyDraw,
+            chamberTemp: data.chamberTemp,
+            posX: data.posX ?? 0,
+            posY: data.posY ?? 0,
+            posZ: data.zPosition ?? 0,
+            currentLayer: data.currentLayer,
+            totalLayers: data.totalLayers,
+            filamentUsedMm: data.filamentUsedMm,
+            printDurationSec: data.printDurationSec,
+        },
+    });
+}
+
+function processSafely(printer, data) {
+    handleTelemetry(printer, data).catch(err => {
+        console.error(`[TELEMETRY] ${printer.name}:`, err.message);
+    });
+}
+
+// Open, re-open (connection details changed) or close printer websockets
+function syncStreams(printers) {
+    const wanted = new Set();
+
+    for (const printer of printers) {
+        const driver = drivers.getDriver(printer.driver);
+        if (!USE_WEBSOCKET || !driver?.subscribe || printer.telemetryMode === 'push') continue;
+        wanted.add(printer.id);
+
+        const signature = `${printer.driver}:${printer.ipAddress}:${printer.port}`;
+        const existing = streams.get(printer.id);
+        if (existing?.signature === signature) continue;
+        if (existing) existing.handle.close();
+
+        const stream = { signature, lastReading: null };
+        stream.handle = driver.subscribe(printer, (reading, reason) => {
+            const current = printerCache.get(printer.id) || printer;
+            const data = reading ? toTelemetry(current, reading) : offlineTelemetry(current, reason);
+            stream.lastReading = data;
+            processSafely(current, data);
+        });
+        streams.set(printer.id, stream);
+    }
+
+    for (const [printerId, stream] of streams) {
+        if (!wanted.has(printerId)) {
+            stream.handle.close();
+            streams.delete(printerId);
+        }
+    }
+}
+
+/**
+ * Telemetry posted by a push-mode printer's edge agent (signature already checked).
+ * `reading` has the driver fetchTelemetry shape; null + reason when the agent
+ * could not reach the printer itself.
+ */
+function ingestPush(printer, reading, reason) {
+    if (!prismaClient) return Promise.resolve();
+    const data = reading ? toTelemetry(printer, reading) : offlineTelemetry(printer, reason || 'Edge agent cannot reach printer');
+    pushes.set(printer.id, { data, at: Date.now() });
+    return handleTelemetry(printer, data);
+}
+
+// Push printers get the same heartbeat as streams; silence counts as a failed check
+function pushHeartbeat(printer) {
+    const push = pushes.get(printer.id);
+    const lastAt = push?.at ?? startedAt;
+    if (Date.now() - lastAt > PUSH_STALE_MS) {
+        const seconds = Math.round((Date.now() - lastAt) / 1000);
+        return handleTelemetry(printer, offlineTelemetry(printer, `No telemetry pushed for ${seconds}s`));
+    }
+    if (push) return handleTelemetry(printer, push.data);
+}
+
 async function runPoll() {
     if (!prismaClient) return;
 
     try {
         const printers = await prismaClient.printer.findMany({ where: { isActive: true } });
+        printerCache.clear();
+        printers.forEach(p => printerCache.set(p.id, p));
 
-        for (const printer of printers) {
-            const data = await pollPrinter(printer);
-
-            // Save telemetry to DB
-            await prismaClient.printerTelemetry.create({
-                data: {
-                    printerId: data.printerId,
-                    extruderTemp: data.extruderTemp,
-                    bedTemp: data.bedTemp,
-                    progress: data.progress,
-                    status: data.status,
-                    filamentPresent: data.filamentPresent,
-                    fanRpm: data.fanRpm,
-                    energyDraw: data.energyDraw,
-                },
-            });
-
-            // Emit real-time update via WebSocket
-            if (ioClient) {
-                ioClient.emit('printer:telemetry', {
-                    printerId: printer.id,
-                    name: printer.name,
-                    ...data,
-                });
-                ioClient.to(`printer:${printer.id}`).emit('printer:telemetry', {
-                    printerId: printer.id,
-                    name: printer.name,
-                    ...data,
-                });
-            }
-
-            // Check for thermal stability issues
-            if (data.extruderTemp > printer.maxTempExtruder) {
-                await prismaClient.printerEvent.create({
-                    data: {
-                        printerId: printer.id,
-                        level: 'CRITICAL',
-                        code: 'THERMAL_RUNAWAY',
-                        message: `Extruder temp ${data.extruderTemp}°C exceeds limit ${printer.maxTempExtruder}°C`,
-                    },
-                });
-                if (ioClient) {
-                    ioClient.emit('printer:event', {
-                        printerId: printer.id, level: 'CRITICAL', code: 'THERMAL_RUNAWAY'
-                    });
-                }
-            }
+        syncStreams(printers);
 
-            // Keep telemetry table clean — retain only last 500 records per printer
-            const count = await prismaClient.printerTelemetry.count({ where: { printerId: printer.id } });
-            if (count > 500) {
-                const oldest = await prismaClient.printerTelemetry.findMany({
-                    where: { printerId: printer.id },
-                    orderBy: { recordedAt: 'asc' },
-                    take: count - 500,
-                    select: { id: true },
-                });
-                await prismaClient.printerTelemetry.deleteMany({
-                    where: { id: { in: oldest.map(r => r.id) } },
-                });
+        const results = await Promise.allSettled(printers.map(async (printer) => {
+            if (printer.telemetryMode === 'push') return pushHeartbeat(printer);
+            const stream = streams.get(printer.id);
+            if (stream) {
+                // Streamed printers only need the heartbeat — re-sending the raw reading also
+                // counts a dropped link as a failed check every cycle
+                if (!stream.lastReading) return;
+                return handleTelemetry(printer, stream.lastReading);
             }
-        }
+            return handleTelemetry(printer, await pollPrinter(printer));
+        }));
+        results
+            .filter(r => r.status === 'rejected')
+            .forEach(r => console.error('[TELEMETRY] Poll error:', r.reason?.message));
     } catch (err) {
         console.error('[TELEMETRY] Poll error:', err.message);
     }
@@ -150,7 +282,12 @@ async function runPoll() {
 function start(prisma, io) {
     prismaClient = prisma;
     ioClient = io;
-    console.log('[TELEMETRY] Service started — polling every', POLL_INTERVAL_MS / 1000, 'seconds');
+    startedAt = Date.now();
+    thermalWatchdog.init(prisma, io);
+    stallDetector.init(prisma, io);
+    printerStateService.init(prisma, io);
+    console.log('[TELEMETRY] Service started — polling every', POLL_INTERVAL_MS / 1000, 'seconds',
+        USE_WEBSOCKET ? '(Moonraker via websocket)' : '');
     intervalId = setInterval(runPoll, POLL_INTERVAL_MS);
     // Run immediately on start
     setTimeout(runPoll, 2000);
@@ -158,6 +295,18 @@ function start(prisma, io) {
 
 function stop() {
     if (intervalId) clearInterval(intervalId);
+    for (const stream of streams.values()) stream.handle.close();
+    streams.clear();
+}
+
+// Last telemetry seen for a printer (includes fields not stored, like remainingSec)
+function getLatest(printerId) {
+    return latest.get(printerId) || null;
+}
+
+// Printers seen by the last poll cycle — a fallback when the database cannot be read
+function knownPrinters() {
+    return [...printerCache.values()];
 }
 
-module.exports = { start, stop };
+module.exports = { start, stop, ingestPush, events, calculateEnergyDraw, getLatest, knownPrinters };
@@ -0,0 +1,202 @@
+/**
+ * Thermal Safety Watchdog
+ * Runs on every telemetry update (polled or streamed) and checks:
+ *   - extruder / bed above the printer's configured maximum
+ *   - temperature drifting away from target after it was reached
+ *   - heaters that do not reach target in time (heating failure)
+ *   - implausible sensor readings (disconnected / shorted thermistor)
+ * Warnings raise a PRINTER_ERROR alert; critical conditions also emergency-stop
+ * the printer. Every step is written to PrinterEvent and the audit trail.
+ */
+const alertService = require('./alertService');
+
+let prismaClient = null;
+let ioClient = null;
+
+const TARGET_TOLERANCE_C = 5;       // "at target" band
+const DRIFT_WARN_C = 10;
+const DRIFT_CRITICAL_C = 25;        // overshoot above target → runaway
+const DRIFT_GRACE_MS = 30 * 1000;   // drift must persist this long
+const HEATUP_TIMEOUT_MS = {
+    extruder: 5 * 60 * 1000,
+    bed: 15 * 60 * 1000,
+};
+const SENSOR_MIN_C = -10;
+const SENSOR_MAX_C = 450;
+const SENSOR_JUMP_C = 40;           // between two readings...
+const SENSOR_JUMP_WINDOW_MS = 5000; // ...this close together
+
+// printerId → { last, at, heaters: { extruder: {...}, bed: {...} }, active: Map(code → finding) }
+const state = new Map();
+
+function heaterState() {
+    return { target: 0, since: 0, reached: false, driftSince: 0 };
+}
+
+function getState(printerId) {
+    if (!state.has(printerId)) {
+        state.set(printerId, {
+            last: null, at: 0,
+            heaters: { extruder: heaterState(), bed: heaterState() },
+            active: new Map(),
+        });
+    }
+    return state.get(printerId);
+}
+
+const LABELS = { extruder: 'Extruder', bed: 'Bed' };
+
+// Pure check of one heater → list of findings
+function checkHeater(name, temp, target, limit, h, prevTemp, dtMs, now) {
+    const findings = [];
+    const label = LABELS[name];
+    const code = name.toUpperCase();
+
+    if (!Number.isFinite(temp) || temp < SENSOR_MIN_C || temp > SENSOR_MAX_C) {
+        findings.push({ code: `${code}_SENSOR_FAULT`, severity: 'critical', message: `${label} sensor reads ${temp}°C — implausible` });
+        return findings;
+    }
+    if (prevTemp !== null && dtMs <= SENSOR_JUMP_WINDOW_MS && Math.abs(temp - prevTemp) > SENSOR_JUMP_C) {
+        findings.push({ code: `${code}_SENSOR_FAULT`, severity: 'critical', message: `${label} jumped ${prevTemp}°C → ${temp}°C in ${Math.round(dtMs / 1000)}s` });
+    }
+
+    if (temp > limit) {
+        findings.push({
+            code: name === 'extruder' ? 'THERMAL_RUNAWAY' : 'BED_THERMAL_RUNAWAY',
+            severity: 'critical',
+            message: `${label} temp ${temp}°C exceeds limit ${limit}°C`,
+        });
+    }
+
+    // Track target changes — heat-up timer restarts on every new target
+    if (target !== h.target) {
+        h.target = target;
+        h.since = now;
+        h.reached = false;
+        h.driftSince = 0;
+    }
+    if (!target) return findings;
+
+    const diff = temp - target;
+    if (!h.reached) {
+        if (Math.abs(diff) <= TARGET_TOLERANCE_C) {
+            h.reached = true;
+        } else if (now - h.since > HEATUP_TIMEOUT_MS[name]) {
+            findings.push({
+                code: `${code}_HEATING_FAILED`,
+                severity: 'critical',
+                message: `${label} at ${temp}°C has not reached ${target}°C within ${HEATUP_TIMEOUT_MS[name] / 60000} min`,
+            });
+        }
+        return findings;
+    }
+
+    if (Math.abs(diff) > DRIFT_WARN_C) {
+        if (!h.driftSince) h.driftSince = now;
+        if (now - h.driftSince >= DRIFT_GRACE_MS) {
+            findings.push({
+                code: `${code}_TEMP_DRIFT`,
+                severity: diff > DRIFT_CRITICAL_C ? 'critical' : 'warning',
+                message: `${label} ${temp}°C drifted ${diff > 0 ? '+' : ''}${diff.toFixed(1)}°C from target ${target}°C`,
+            });
+        }
+    } else {
+        h.driftSince = 0;
+    }
+    return findings;
+}
+
+async function audit(printer, action, details) {
+    await prismaClient.auditLog.create({
+        data: { action, entity: 'Printer', entityId: String(printer.id), details: JSON.stringify(details) },
+    });
+}
+
+// Record and alert one newly raised finding
+async function raise(printer, finding) {
+    const level = finding.severity === 'critical' ? 'CRITICAL' : 'ERROR';
+
+    await prismaClient.printerEvent.create({
+        data: { printerId: printer.id, level, code: finding.code, message: finding.message },
+    });
+    await audit(printer, 'WATCHDOG_TRIGGERED', finding);
+    if (ioClient) {
+        ioClient.emit('printer:event', { printerId: printer.id, level, code: finding.code, message: finding.message });
+    }
+
+    // In the background — Telegram, WhatsApp and SMS go out one after another
+    alertService.triggerAlert('PRINTER_ERROR', { printer: printer.name, message: `${finding.code}: ${finding.message}` })
+        .then(() => audit(printer, 'WATCHDOG_ALERT_RAISED', { code: finding.code, trigger: 'PRINTER_ERROR' }))
+        .catch(err => console.error(`[WATCHDOG] Alert for ${printer.name} failed:`, err.message));
+}
+
+async function emergencyStop(printer, codes) {
+    // Required lazily — printerCommandService depends on telemetryService, which loads this module
+    const printerCommandService = require('./printerCommandService');
+    const outcome = await printerCommandService.sendCommand(printer, 'emergency_stop');
+
+    await prismaClient.printerEvent.create({
+        data: {
+            printerId: printer.id,
+            level: 'CRITICAL',
+            code: 'CMD_EMERGENCY_STOP',
+            message: `Watchdog emergency stop (${codes.join(', ')}) — ${outcome.result}: ${outcome.message}`,
+        },
+    });
+    await audit(printer, 'WATCHDOG_EMERGENCY_STOP', { codes, result: outcome.result, message: outcome.message });
+    if (ioClient) {
+        ioClient.emit('printer:event', { printerId: printer.id, level: 'CRITICAL', code: 'CMD_EMERGENCY_STOP', result: outcome.result });
+    }
+}
+
+// Critical findings stop the printer before anything is recorded or sent — every second it keeps heating
+async function escalate(printer, raised) {
+    const critical = raised.filter(f => f.severity === 'critical').map(f => f.code);
+    const stopping = critical.length ? emergencyStop(printer, critical) : Promise.resolve();
+
+    try {
+        for (const finding of raised) await raise(printer, finding);
+    } finally {
+        await stopping;
+    }
+}
+
+/**
+ * Check one telemetry update. Findings are raised once and re-armed when they clear.
+ * State is updated synchronously so overlapping updates cannot double-trigger.
+ */
+function evaluate(printer, data) {
+    if (!prismaClient || !data.isReachable || data.status === 'offline') return Promise.resolve();
+
+    const s = getState(printer.id);
+    const now = Date.now();
+    const dt = s.last ? now - s.at : Infinity;
+
+    const findings = [
+        ...checkHeater('extruder', data.extruderTemp, data.extruderTarget, printer.maxTempExtruder,
+            s.heaters.extruder, s.last?.extruderTemp ?? null, dt, now),
+        ...checkHeater('bed', data.bedTemp, data.bedTarget, printer.maxTempBed,
+            s.heaters.bed, s.last?.bedTemp ?? null, dt, now),
+    ];
+    s.last = data;
+    s.at = now;
+
+    const current = new Map(findings.map(f => [f.code, f]));
+    const raised = [];
+    for (const [code, finding] of current) {
+        const previous = s.active.get(code);
+        // New finding, or a warning that escalated to critical
+        if (!previous || (previous.severity === 'warning' && finding.severity === 'critical')) raised.push(finding);
+    }
+    s.active = current;
+
+    if (!raised.length) return Promise.resolve();
+    return escalate(printer, raised).catch(err => console.error(`[WATCHDOG] ${printer.name}:`, err.message));
+}
+
+function init(prisma, io) {
+    prismaClient = prisma;
+    ioClient = io;
+}
+
+module.exports = { init, evaluate };
@@ -0,0 +1,120 @@
+/**
+ * Timelapse Service
+ * While a job is printing, saves a webcam frame every TIMELAPSE_INTERVAL_SEC and
+ * a final frame when the job ends — visual evidence for customer disputes and
+ * failure analysis. Frames are stored under uploads/timelapse/<jobId>/ and
+ * linked to the job via JobSnapshot.
+ */
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const cameraService = require('./cameraService');
+
+let prismaClient = null;
+let intervalId = null;
+let capturing = false;
+
+const TIMELAPSE_DIR = path.join(__dirname, '../uploads/timelapse');
+const INTERVAL_MS = (+process.env.TIMELAPSE_INTERVAL_SEC || 60) * 1000;
+const FRAME_RETENTION_DAYS = process.env.TIMELAPSE_RETENTION_DAYS !== undefined ? +process.env.TIMELAPSE_RETENTION_DAYS : 90;
+const FINAL_CATCHUP_MS = 15 * 60 * 1000;
+const ENDED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const failing = new Set(); // printerIds whose camera failed last time — log once per outage
+
+async function saveSnapshot(job, printer, kind) {
+    const { data } = await cameraService.fetchSnapshot(printer);
+    const dir = path.join(TIMELAPSE_DIR, String(job.id));
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const filePath = path.join(dir, `${kind}-${Date.now()}.jpg`);
+    await fs.promises.writeFile(filePath, data);
+    return prismaClient.jobSnapshot.create({
+        data: { jobId: job.id, printerId: printer.id, kind, filePath, sizeBytes: data.length },
+    });
+}
+
+async function trySnapshot(job, printer, kind) {
+    try {
+        const snapshot = await saveSnapshot(job, printer, kind);
+        if (failing.delete(printer.id)) console.log(`[TIMELAPSE] Camera on "${printer.name}" is back`);
+        return snapshot;
+    } catch (err) {
+        if (!failing.has(printer.id)) console.error(`[TIMELAPSE] Camera on "${printer.name}":`, err.message);
+        failing.add(printer.id);
+        return null;
+    }
+}
+
+/**
+ * Save the job's final frame (once). Called when a job ends.
+ */
+async function captureFinal(job) {
+    if (!prismaClient || !job.printerId) return null;
+    const existing = await prismaClient.jobSnapshot.findFirst({ where: { jobId: job.id, kind: 'final' } });
+    if (existing) return existing;
+
+    const printer = job.printer || await prismaClient.printer.findUnique({ where: { id: job.printerId } });
+    if (!printer || !cameraService.cameraUrls(printer).snapshot) return null;
+    return trySnapshot(job, printer, 'final');
+}
+
+async function captureFrames() {
+    if (!prismaClient || capturing) return;
+    capturing = true;
+    try {
+        const printing = await prismaClient.job.findMany({
+            where: { status: 'printing', printerId: { not: null } },
+            include: { printer: true },
+        });
+        await Promise.all(printing
+            .filter(job => job.printer.isActive && cameraService.cameraUrls(job.printer).snapshot)
+            .map(job => trySnapshot(job, job.printer, 'frame')));
+
+        // Jobs that ended without going through captureFinal (e.g. status changed elsewhere)
+        const ended = await prismaClient.job.findMany({
+            where: {
+                status: { in: ENDED_STATUSES },
+                updatedAt: { gte: new Date(Date.now() - FINAL_CATCHUP_MS) },
+                AND: [{ snapshots: { some: { kind: 'frame' } } }, { snapshots: { none: { kind: 'final' } } }],
+            },
+            include: { printer: true },
+        });
+        for (const job of ended) await captureFinal(job);
+    } catch (err) {
+        console.error('[TIMELAPSE] Capture error:', err.message);
+    } finally {
+        capturing = false;
+    }
+}
+
+// Drop timelapse frames past retention — final frames are kept
+async function runRetention() {
+    if (!prismaClient || !FRAME_RETENTION_DAYS) return;
+    try {
+        const cutoff = new Date(Date.now() - FRAME_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        const old = await prismaClient.jobSnapshot.findMany({
+            where: { kind: 'frame', capturedAt: { lt: cutoff } },
+            select: { id: true, filePath: true },
+            take: 5000,
+        });
+        for (const snapshot of old) await fs.promises.unlink(snapshot.filePath).catch(() => { });
+        await prismaClient.jobSnapshot.deleteMany({ where: { id: { in: old.map(s => s.id) } } });
+        if (old.length) console.log(`[TIMELAPSE] Pruned ${old.length} frames older than ${FRAME_RETENTION_DAYS} days`);
+    } catch (err) {
+        console.error('[TIMELAPSE] Retention error:', err.message);
+    }
+}
+
+function start(prisma) {
+    prismaClient = prisma;
+    console.log(`[TIMELAPSE] Capturing every ${INTERVAL_MS / 1000} seconds while printing`);
+    intervalId = setInterval(captureFrames, INTERVAL_MS);
+    cron.schedule('0 15 3 * * *', runRetention);
+}
+
+function stop() {
+    if (intervalId) clearInterval(intervalId);
+}
+
+module.exports = { start, stop, captureFinal, captureFrames, runRetention };
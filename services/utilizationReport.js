@@ -0,0 +1,212 @@
+/**
+ * Utilization / OEE Report
+ * OEE = availability × performance × quality, per printer, per printer model,
+ * per material and for the whole fleet over a date range.
+ *   availability — share of observed time not offline or in maintenance
+ *                  (status time comes from the telemetry rollups)
+ *   performance  — estimated vs. actual print time of finished jobs (capped at 100%)
+ *   quality      — completed vs. failed jobs (cancelled jobs are not counted)
+ */
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DOWN_STATES = ['offline', 'maintenance'];
+
+function emptyTime() {
+    return { coveredSec: 0, status: {} };
+}
+
+function emptyJobs() {
+    return { completed: 0, failed: 0, estimatedMin: 0, actualMin: 0 };
+}
+
+// Add the part of a rollup bucket that falls inside [from, to)
+function addBucket(time, row, sizeMs, from, to) {
+    const start = row.bucketStart.getTime();
+    const overlap = Math.min(start + sizeMs, to) - Math.max(start, from);
+    if (overlap <= 0) return;
+    const share = overlap / sizeMs;
+
+    time.coveredSec += row.coveredSec * share;
+    for (const [status, sec] of Object.entries(JSON.parse(row.statusDurations || '{}'))) {
+        time.status[status] = (time.status[status] || 0) + sec * share;
+    }
+}
+
+/**
+ * printerId → { coveredSec, status: { state: seconds } } from 1h rollups,
+ * topped up with 1m rollups for the time the hourly tier has not closed yet.
+ */
+async function loadPrinterTime(prisma, printerIds, from, to) {
+    const times = new Map(printerIds.map(id => [id, emptyTime()]));
+    const hourFrom = new Date(Math.floor(from / HOUR_MS) * HOUR_MS);
+
+    const hourly = await prisma.printerTelemetryRollup.findMany({
+        where: { printerId: { in: printerIds }, resolution: '1h', bucketStart: { gte: hourFrom, lt: to } },
+        select: { printerId: true, bucketStart: true, coveredSec: true, statusDurations: true },
+    });
+    const hourlyEnd = new Map(); // printerId → end of the last closed hour
+    for (const row of hourly) {
+        addBucket(times.get(row.printerId), row, HOUR_MS, from.getTime(), to.getTime());
+        const end = row.bucketStart.getTime() + HOUR_MS;
+        if (end > (hourlyEnd.get(row.printerId) || 0)) hourlyEnd.set(row.printerId, end);
+    }
+
+    // The hourly tier closes for every printer at once — a printer without hourly rows
+    // (retired, just added) had nothing to roll up before the latest closed hour
+    const minuteFrom = Math.max(from.getTime(), ...hourlyEnd.values());
+    if (minuteFrom >= to.getTime()) return times;
+
+    const minutes = await prisma.printerTelemetryRollup.findMany({
+        where: {
+            printerId: { in: printerIds }, resolution: '1m',
+            bucketStart: { gte: new Date(Math.floor(minuteFrom / MINUTE_MS) * MINUTE_MS), lt: to },
+        },
+        select: { printerId: true, bucketStart: true, coveredSec: true, statusDurations: true },
+    });
+    for (const row of minutes) {
+        if (row.bucketStart.getTime() < (hourlyEnd.get(row.printerId) || 0)) continue;
+        addBucket(times.get(row.printerId), row, MINUTE_MS, from.getTime(), to.getTime());
+    }
+    return times;
+}
+
+// Jobs that finished in the range: completed by completedAt, failed by their last update
+async function loadFinishedJobs(prisma, from, to) {
+    return prisma.job.findMany({
+        where: {
+            printerId: { not: null },
+            OR: [
+                { status: 'completed', completedAt: { gte: from, lt: to } },
+                { status: 'failed', updatedAt: { gte: from, lt: to } },
+            ],
+        },
+        select: { printerId: true, material: true, status: true, estimatedTime: true, actualTime: true },
+    });
+}
+
+function addJob(stats, job) {
+    stats[job.status] += 1;
+    // Performance only uses jobs where both times are known
+    if (job.estimatedTime > 0 && job.actualTime > 0) {
+        stats.estimatedMin += job.estimatedTime;
+        stats.actualMin += job.actualTime;
+    }
+}
+
+function mergeTime(target, time) {
+    target.coveredSec += time.coveredSec;
+    for (const [status, sec] of Object.entries(time.status)) target.status[status] = (target.status[status] || 0) + sec;
+}
+
+function mergeJobs(target, jobs) {
+    for (const key of Object.keys(target)) target[key] += jobs[key];
+}
+
+const ratio = (value) => (value === null ? null : +value.toFixed(4));
+
+function metrics(time, jobs) {
+    const status = time ? Object.fromEntries(Object.entries(time.status).map(([k, v]) => [k, Math.round(v)])) : null;
+    const covered = time ? Math.round(time.coveredSec) : null;
+    const down = time ? DOWN_STATES.reduce((sum, s) => sum + (time.status[s] || 0), 0) : 0;
+
+    const availability = covered ? (time.coveredSec - down) / time.coveredSec : null;
+    const utilization = covered ? (time.status.printing || 0) / time.coveredSec : null;
+    const performance = jobs.actualMin ? Math.min(1, jobs.estimatedMin / jobs.actualMin) : null;
+    const finished = jobs.completed + jobs.failed;
+    const quality = finished ? jobs.completed / finished : null;
+    const oee = [availability, performance, quality].every(v => v !== null) ? availability * performance * quality : null;
+
+    return {
+        ...(time && { observedSec: covered, statusSec: status }),
+        jobsCompleted: jobs.completed,
+        jobsFailed: jobs.failed,
+        estimatedMin: jobs.estimatedMin,
+        actualMin: jobs.actualMin,
+        availability: ratio(availability),
+        utilization: ratio(utilization),
+        performance: ratio(performance),
+        quality: ratio(quality),
+        oee: ratio(oee),
+    };
+}
+
+/**
+ * Full report for [from, to): { from, to, fleet, printers[], byModel[], byMaterial[] }
+ */
+async function buildReport(prisma, from, to) {
+    const printers = await prisma.printer.findMany({
+        select: { id: true, name: true, model: true, isActive: true },
+        orderBy: { name: 'asc' },
+    });
+    const printerIds = printers.map(p => p.id);
+    const [times, jobs] = await Promise.all([
+        printerIds.length ? loadPrinterTime(prisma, printerIds, from, to) : new Map(),
+        loadFinishedJobs(prisma, from, to),
+    ]);
+
+    const jobsByPrinter = new Map(printerIds.map(id => [id, emptyJobs()]));
+    const jobsByMaterial = new Map();
+    for (const job of jobs) {
+        if (jobsByPrinter.has(job.printerId)) addJob(jobsByPrinter.get(job.printerId), job);
+        const material = (job.material || 'unknown').toUpperCase();
+        if (!jobsByMaterial.has(material)) jobsByMaterial.set(material, emptyJobs());
+        addJob(jobsByMaterial.get(material), job);
+    }
+
+    const fleetTime = emptyTime();
+    const fleetJobs = emptyJobs();
+    const models = new Map();
+    const printerRows = [];
+
+    for (const printer of printers) {
+        const time = times.get(printer.id);
+        const printerJobs = jobsByPrinter.get(printer.id);
+        // Retired printers only show up when they did something in the range
+        if (!printer.isActive && !time.coveredSec && !printerJobs.completed && !printerJobs.failed) continue;
+
+        printerRows.push({ printerId: printer.id, name: printer.name, model: printer.model, ...metrics(time, printerJobs) });
+        mergeTime(fleetTime, time);
+        mergeJobs(fleetJobs, printerJobs);
+
+        if (!models.has(printer.model)) models.set(printer.model, { printers: 0, time: emptyTime(), jobs: emptyJobs() });
+        const model = models.get(printer.model);
+        model.printers += 1;
+        mergeTime(model.time, time);
+        mergeJobs(model.jobs, printerJobs);
+    }
+
+    return {
+        from,
+        to,
+        fleet: { printers: printerRows.length, ...metrics(fleetTime, fleetJobs) },
+        printers: printerRows,
+        byModel: [...models.entries()].map(([model, m]) => ({ model, printers: m.printers, ...metrics(m.time, m.jobs) })),
+        // Materials only have job-based metrics — availability belongs to printers
+        byMaterial: [...jobsByMaterial.entries()].map(([material, j]) => ({ material, ...metrics(null, j) })),
+    };
+}
+
+// ─── CSV ──────────────────────────────────────────────────────
+const CSV_COLUMNS = [
+    'observedSec', 'jobsCompleted', 'jobsFailed', 'estimatedMin', 'actualMin',
+    'availability', 'utilization', 'performance', 'quality', 'oee',
+];
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(report) {
+    const row = (scope, name, m) => [scope, name, ...CSV_COLUMNS.map(c => m[c])].map(csvField).join(',');
+    return [
+        ['Scope', 'Name', ...CSV_COLUMNS].join(','),
+        row('fleet', 'All printers', report.fleet),
+        ...report.printers.map(p => row('printer', p.name, p)),
+        ...report.byModel.map(m => row('model', m.model, m)),
+        ...report.byMaterial.map(m => row('material', m.material, m)),
+    ].join('\n');
+}
+
+module.exports = { buildReport, toCsv };